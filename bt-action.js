@@ -0,0 +1,234 @@
+const events = require('./bt-events');
+
+/**
+ * Node-RED 行为树动作节点模块
+ * 运行用户编写的异步 JavaScript 代码作为行为树叶子节点，并把结果自动回报给发送消息的父节点
+ * @param {Object} RED - Node-RED 运行时对象
+ */
+module.exports = function(RED) {
+    "use strict";
+
+    /**
+     * 异步函数构造器，用于把用户代码编译为 async function
+     * @type {Function}
+     */
+    const AsyncFunction = Object.getPrototypeOf(async function() {}).constructor;
+
+    /**
+     * 行为树动作节点构造函数
+     * @param {Object} config - 节点配置对象
+     */
+    function BTActionNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // ==================== 配置参数 ====================
+        /**
+         * 用户代码，可以返回 Promise、"success"/"failure"/"running"、布尔值或 { status: ... }
+         * @type {string}
+         */
+        node.func = config.func || "";
+
+        /**
+         * 编译后的用户函数，代码有语法错误时为 null
+         * @type {Function|null}
+         */
+        node.action = null;
+        try {
+            node.action = new AsyncFunction("msg", "node", "context", "flow", "global", "env", "onHalt", "signal", "report", node.func);
+        } catch (err) {
+            node.error(`代码错误: ${err.message}`);
+            node.status({ fill: "red", shape: "ring", text: "代码错误" });
+            return;
+        }
+
+        // ==================== 状态变量 ====================
+        /**
+         * 动作ID -> 动作状态，每条输入消息对应一次独立的动作执行
+         * @type {Map<string, Object>}
+         */
+        node.actions = new Map();
+
+        // 初始化节点状态显示
+        node.status({ fill: "grey", shape: "dot", text: "就绪" });
+
+        /**
+         * 处理输入消息的事件监听器
+         * @param {Object} msg - 输入消息对象
+         */
+        node.on('input', function(msg) {
+            // 中止消息（msg.bt_halt）：调用中止回调，不回报结果
+            if (msg.bt_halt) {
+                find_actions(msg).forEach(action => haltAction(action));
+                return;
+            }
+
+            // 创建新的动作执行
+            const action = {
+                id: RED.util.generateId(),
+                msg: RED.util.cloneMessage(msg),        // 传给用户代码的消息，回报结果时原样带回
+                controller: new AbortController(),      // 中止时触发 signal 的 abort 事件
+                halt_callbacks: [],                     // 通过 onHalt() 注册的中止回调
+                is_running: true,
+                started_at: Date.now()
+            };
+            node.actions.set(action.id, action);
+            update_status("yellow", "执行中", "ring");
+
+            run(action);
+        });
+
+        /**
+         * 运行用户代码并处理返回值
+         * @param {Object} action - 动作状态对象
+         */
+        function run(action) {
+            let result;
+            try {
+                result = node.action.call(null,
+                    action.msg,
+                    create_node_api(),
+                    node.context(),
+                    node.context().flow,
+                    node.context().global,
+                    { get: name => RED.util.evaluateNodeProperty(name, "env", node) },
+                    callback => {
+                        if (typeof callback === "function") action.halt_callbacks.push(callback);
+                    },
+                    action.controller.signal,
+                    status => finishAction(action, to_status(status))
+                );
+            } catch (err) {
+                fail(action, err);
+                return;
+            }
+
+            result.then(value => {
+                const status = to_status(value);
+                // running：动作继续执行，稍后通过 report() 回报结果
+                if (status === "running") {
+                    update_status("yellow", "running", "ring");
+                    return;
+                }
+                finishAction(action, status);
+            }).catch(err => fail(action, err));
+        }
+
+        /**
+         * 提供给用户代码的 node 对象
+         * @returns {Object}
+         */
+        function create_node_api() {
+            return {
+                id: node.id,
+                name: node.name,
+                log: text => node.log(text),
+                warn: text => node.warn(text),
+                error: (text, msg) => node.error(text, msg),
+                status: status => node.status(status)
+            };
+        }
+
+        /**
+         * 把用户代码的返回值转换为结果状态
+         * 对象取其 status 字段；undefined 视为成功，其他值按真假判断
+         * @param {*} value - 返回值
+         * @returns {string} "success"、"failure" 或 "running"
+         */
+        function to_status(value) {
+            if (value !== null && typeof value === "object" && value.status !== undefined) {
+                value = value.status;
+            }
+            if (value === "success" || value === "failure" || value === "running") return value;
+            if (value === undefined) return "success";
+            return value ? "success" : "failure";
+        }
+
+        /**
+         * 用户代码抛出异常或 Promise 被拒绝：记录错误并回报失败
+         * @param {Object} action - 动作状态对象
+         * @param {Error} err - 错误对象
+         */
+        function fail(action, err) {
+            if (!action.is_running) return;
+            node.error(`动作执行失败: ${err && err.message ? err.message : err}`, action.msg);
+            finishAction(action, "failure");
+        }
+
+        /**
+         * 查找中止消息对应的动作
+         * 消息带有 __bt_exec_id 时只匹配同一父执行的动作，否则匹配全部动作
+         * @param {Object} msg - 中止消息
+         * @returns {Object[]} 匹配的动作状态对象
+         */
+        function find_actions(msg) {
+            const actions = Array.from(node.actions.values());
+            if (msg.__bt_exec_id === undefined) return actions;
+            return actions.filter(action => action.msg.__bt_exec_id === msg.__bt_exec_id);
+        }
+
+        /**
+         * 结束动作：回报结果给父节点，并从输出端口输出
+         * @param {Object} action - 动作状态对象
+         * @param {string} status - "success" 或 "failure"（"running" 时忽略）
+         */
+        function finishAction(action, status) {
+            if (!action.is_running || status === "running") return;
+            action.is_running = false;
+            node.actions.delete(action.id);
+
+            const msg = action.msg;
+            // 结果通过事件直接送达行为树父节点，输出也可以连回父节点的输入端口（重复的结果会被忽略）
+            msg.bt_status = status;
+            node.send(msg);
+            events.report(RED, msg);
+
+            const elapsed = ((Date.now() - action.started_at) / 1000).toFixed(1);
+            update_status(status === "success" ? "green" : "red", `${status}（用时 ${elapsed}秒）`);
+        }
+
+        /**
+         * 中止动作：触发 signal 的 abort 事件并调用中止回调，之后的返回值被忽略
+         * @param {Object} action - 动作状态对象
+         */
+        function haltAction(action) {
+            if (!action.is_running) return;
+            action.is_running = false;
+            node.actions.delete(action.id);
+
+            action.controller.abort();
+            action.halt_callbacks.forEach(callback => {
+                try {
+                    callback();
+                } catch (err) {
+                    node.error(`中止回调执行失败: ${err.message}`, action.msg);
+                }
+            });
+
+            update_status("grey", "已中止");
+        }
+
+        /**
+         * 更新节点状态显示，存在多个运行中的动作时附带数量
+         * @param {string} fill - 状态颜色
+         * @param {string} text - 状态文本
+         * @param {string} [shape="dot"] - 状态形状
+         */
+        function update_status(fill, text, shape) {
+            const running = node.actions.size;
+            node.status({ fill: fill, shape: shape || "dot", text: running > 1 ? `${text}（${running}个执行中）` : text });
+        }
+
+        /**
+         * 节点关闭事件处理器
+         * 中止所有运行中的动作，使长时间运行的动作有机会清理资源
+         */
+        node.on('close', function() {
+            node.actions.forEach(action => haltAction(action));
+            node.actions.clear();
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType("bt-action", BTActionNode);
+};
@@ -0,0 +1,125 @@
+/**
+ * Node-RED 行为树黑板配置节点模块
+ * 统一管理行为树节点读写的上下文：作用域（global/flow）、上下文存储、每棵树的命名空间前缀
+ * @param {Object} RED - Node-RED 运行时对象
+ */
+module.exports = function(RED) {
+    "use strict";
+
+    /**
+     * 行为树黑板配置节点构造函数
+     * @param {Object} config - 节点配置对象
+     */
+    function BTBlackboardNode(config) {
+        RED.nodes.createNode(this, config);
+
+        /**
+         * 上下文作用域（global 或 flow）
+         * flow 作用域按引用本配置的节点所在流程区分
+         * @type {string}
+         * @default "global"
+         */
+        this.scope = config.scope === "flow" ? "flow" : "global";
+
+        /**
+         * 上下文存储名称，为空时使用默认存储
+         * @type {string|undefined}
+         */
+        this.store = config.store || undefined;
+
+        /**
+         * 命名空间前缀，所有键写入 "<命名空间>.<键名>"，为空时不加前缀
+         * @type {string}
+         */
+        this.namespace = (config.namespace || "").trim();
+    }
+
+    RED.nodes.registerType("bt-blackboard", BTBlackboardNode);
+};
+
+/**
+ * 为行为树节点创建黑板访问器
+ * 未引用黑板配置节点时使用默认设置：global 作用域、默认存储、无命名空间，与旧版行为一致
+ * @param {Object} node - 使用黑板的节点
+ * @param {Object|null} blackboard - 黑板配置节点（RED.nodes.getNode 的结果）
+ * @returns {Object} 黑板访问器
+ */
+module.exports.create_accessor = function(node, blackboard) {
+    const scope = blackboard ? blackboard.scope : "global";
+    const store = blackboard ? blackboard.store : undefined;
+    const namespace = blackboard ? blackboard.namespace : "";
+
+    /**
+     * 当前作用域的上下文对象
+     * @returns {Object}
+     */
+    function context() {
+        return scope === "flow" ? node.context().flow : node.context().global;
+    }
+
+    const accessor = {
+        scope: scope,
+        store: store,
+        namespace: namespace,
+
+        /**
+         * 计算带命名空间的完整键名
+         * @param {string} key - 键名
+         * @returns {string}
+         */
+        key: function(key) {
+            return namespace ? `${namespace}.${key}` : key;
+        },
+
+        /**
+         * 读取键值
+         * @param {string} key - 键名（不含命名空间）
+         * @returns {*}
+         */
+        get: function(key) {
+            return context().get(accessor.key(key), store);
+        },
+
+        /**
+         * 写入键值
+         * @param {string} key - 键名（不含命名空间）
+         * @param {*} value - 值
+         */
+        set: function(key, value) {
+            context().set(accessor.key(key), value, store);
+        },
+
+        /**
+         * 读取状态对象中的子节点状态
+         * sequence/fallback/parallel 的 child_status 为数组，按索引读取；repeat/decorator/timeout 为单个值
+         * @param {string} key - 状态对象键名
+         * @param {number} [index] - 子节点索引
+         * @returns {string|undefined}
+         */
+        get_child_status: function(key, index) {
+            const state = accessor.get(key) || {};
+            if (index === undefined) return state.child_status;
+            return (state.child_status || [])[index];
+        },
+
+        /**
+         * 写入状态对象中的子节点状态
+         * @param {string} key - 状态对象键名
+         * @param {number|undefined} index - 子节点索引，单个子节点的状态对象传 undefined
+         * @param {string} status - 子节点状态（"success"/"failure"）
+         */
+        set_child_status: function(key, index, status) {
+            const state = { ...accessor.get(key) };
+            if (index === undefined) {
+                state.child_status = status;
+            } else {
+                const child_status = Array.isArray(state.child_status) ? state.child_status.slice() : [];
+                child_status[index] = status;
+                state.child_status = child_status;
+            }
+            accessor.set(key, state);
+        }
+    };
+
+    return accessor;
+};
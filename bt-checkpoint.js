@@ -0,0 +1,126 @@
+/**
+ * Node-RED 行为树断点续跑模块
+ * sequence、parallel、repeat 共用的执行进度保存与恢复：
+ * - 每次写入全局状态时把运行中执行的进度保存到节点上下文，执行结束或中止时删除
+ * - 流程启动（重新部署或重启）后读取上次保存的进度，按配置继续执行或输出 interrupted 结果
+ * - 节点被删除时清除保存的进度
+ * 各节点类型只需提供进度的序列化（serialize）和恢复（resume/interrupted）方式
+ */
+"use strict";
+
+/**
+ * 创建控制节点的断点续跑
+ * @param {Object} RED - Node-RED 运行时对象
+ * @param {Object} node - 控制节点，需有 executions（执行ID -> 执行状态）
+ * @param {Object} config - 节点配置，读取 checkpoint（none/resume/interrupted）和 checkpointStore
+ * @param {Object} handlers - 节点类型相关的处理函数
+ * @param {Function} handlers.serialize - (exec) => 需要保存的进度字段，id、msg、started_at、saved_at 自动保存
+ * @param {Function} handlers.resume - (checkpoint) => 按保存的进度恢复执行，执行ID保持不变
+ * @param {Function} handlers.interrupted - (checkpoint) => 从完成端口输出 interrupted 结果
+ * @param {Function} [handlers.compatible] - (checkpoint) => 进度是否适用于当前配置（如子节点数量未改变），不适用时按 interrupted 处理
+ * @returns {Object} 断点续跑对象：save(exec)、find_resumed_execution(msg)
+ */
+module.exports.create = function(RED, node, config, handlers) {
+    /**
+     * 断点续跑模式
+     * - none: 不保存进度
+     * - resume: 重新部署或重启后继续执行
+     * - interrupted: 重新部署或重启后从完成端口输出 interrupted 结果
+     * @type {string}
+     */
+    const mode = config.checkpoint || "none";
+
+    /**
+     * 保存进度的上下文存储名称，重启后恢复需使用持久化存储（未配置时使用默认存储）
+     * @type {string|undefined}
+     */
+    const store = config.checkpointStore || undefined;
+
+    /**
+     * 执行ID -> 保存的执行进度
+     * @type {Object<string, Object>}
+     */
+    const saved = {};
+
+    /**
+     * 查找由父节点同一执行启动的执行
+     * @param {Object} msg - 输入消息对象
+     * @returns {Object|null} 匹配的执行状态对象
+     */
+    function find_execution_by_parent(msg) {
+        if (msg.__bt_parent === undefined) return null;
+        return Array.from(node.executions.values()).find(exec =>
+            exec.msg.__bt_parent === msg.__bt_parent && exec.msg.__bt_exec_id === msg.__bt_exec_id) || null;
+    }
+
+    /**
+     * 读取上次保存的进度，继续执行或输出 interrupted 结果
+     * 父节点已经重新发来消息并创建了新的执行时不再恢复
+     */
+    function load() {
+        node.context().get("checkpoints", store, function(err, checkpoints) {
+            if (err) {
+                node.error(`读取执行进度失败: ${err.message}`);
+                return;
+            }
+            Object.values(checkpoints || {}).forEach(checkpoint => {
+                const compatible = !handlers.compatible || handlers.compatible(checkpoint);
+                if (mode === "resume" && compatible) {
+                    if (!find_execution_by_parent(checkpoint.msg)) handlers.resume(checkpoint);
+                    return;
+                }
+                if (mode === "resume") {
+                    node.warn(`子节点数量已改变，无法继续执行 ${checkpoint.id}`);
+                }
+                handlers.interrupted(checkpoint);
+            });
+            node.context().set("checkpoints", saved, store);
+        });
+    }
+
+    // 流程启动后恢复上次保存的执行进度
+    if (mode !== "none") {
+        RED.events.once("flows:started", load);
+    }
+
+    // 重新部署或停止时保留已保存的进度，节点被删除时清除
+    node.on('close', function(removed, done) {
+        RED.events.removeListener("flows:started", load);
+        if (removed && mode !== "none") {
+            node.context().set("checkpoints", undefined, store);
+        }
+        done();
+    });
+
+    return {
+        /**
+         * 保存运行中执行的进度，执行结束或中止时删除
+         * @param {Object} exec - 执行状态对象
+         */
+        save: function(exec) {
+            if (mode === "none") return;
+            if (exec.is_running) {
+                saved[exec.id] = {
+                    id: exec.id,
+                    msg: exec.msg,
+                    ...handlers.serialize(exec),
+                    started_at: exec.started_at,
+                    saved_at: Date.now()
+                };
+            } else {
+                delete saved[exec.id];
+            }
+            node.context().set("checkpoints", saved, store);
+        },
+
+        /**
+         * 查找等待父节点重新发来消息的已恢复执行
+         * @param {Object} msg - 输入消息对象
+         * @returns {Object|null} 匹配的执行状态对象
+         */
+        find_resumed_execution: function(msg) {
+            const exec = find_execution_by_parent(msg);
+            return exec && exec.resumed ? exec : null;
+        }
+    };
+};
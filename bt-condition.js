@@ -0,0 +1,109 @@
+const events = require('./bt-events');
+const evaluator = require('./bt-evaluate');
+
+/**
+ * Node-RED 行为树条件节点模块
+ * 对 msg、flow、global 上下文求值条件表达式，立即通过 msg.bt_status 把结果回报给父节点
+ * @param {Object} RED - Node-RED 运行时对象
+ */
+module.exports = function(RED) {
+    "use strict";
+
+    /**
+     * 行为树条件节点构造函数
+     * @param {Object} config - 节点配置对象
+     */
+    function BTConditionNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // ==================== 配置参数 ====================
+        /**
+         * 条件类型
+         * - compare: 简单比较（属性 运算符 值）
+         * - jsonata: JSONata 表达式，可通过 $flowContext()/$globalContext() 读取上下文
+         * @type {string}
+         * @default "compare"
+         */
+        node.condition_type = config.conditionType || "compare";
+
+        /**
+         * 比较的左侧属性及其类型（msg/flow/global）
+         * @type {string}
+         * @default "payload"
+         */
+        node.property = config.property || "payload";
+        node.property_type = config.propertyType || "msg";
+
+        /**
+         * 比较运算符（eq/neq/gt/gte/lt/lte）
+         * @type {string}
+         * @default "eq"
+         */
+        node.operator = evaluator.OPERATORS[config.operator] ? config.operator : "eq";
+
+        /**
+         * 比较的右侧值及其类型（num/str/bool/msg/flow/global/env）
+         * @type {string}
+         */
+        node.value = config.value === undefined ? "" : config.value;
+        node.value_type = config.valueType || "num";
+
+        /**
+         * 预编译的 JSONata 表达式，表达式有误时为 null
+         * @type {Object|null}
+         */
+        node.expression = null;
+        if (node.condition_type === "jsonata") {
+            try {
+                node.expression = RED.util.prepareJSONataExpression(config.expression || "", node);
+            } catch (err) {
+                node.error(`JSONata 表达式错误: ${err.message}`);
+                node.status({ fill: "red", shape: "ring", text: "表达式错误" });
+                return;
+            }
+        }
+
+        // 初始化节点状态显示
+        node.status({ fill: "grey", shape: "dot", text: "就绪" });
+
+        /**
+         * 处理输入消息：求值条件，写入 msg.bt_status 后立即输出
+         * 输出需连回父节点（sequence/fallback/parallel/repeat 等）的输入端口
+         * @param {Object} msg - 输入消息对象
+         */
+        node.on('input', function(msg) {
+            // 条件求值是瞬时的，中止消息无需处理
+            if (msg.bt_halt) return;
+
+            evaluator.evaluate(RED, node, msg, function(err, passed, text) {
+                if (err) {
+                    // 求值出错视为条件不成立，仍然回报结果，避免父节点一直等待
+                    node.error(`条件求值失败: ${err.message}`, msg);
+                    passed = false;
+                    text = "求值失败";
+                }
+
+                if (!msg.__bt_parent) {
+                    node.warn("消息中缺少 __bt_parent，无法确定要回报的父节点");
+                }
+
+                const status = passed ? "success" : "failure";
+                msg.bt_status = status;
+                node.send(msg);
+                events.report(RED, msg);
+
+                node.status({ fill: passed ? "green" : "red", shape: "dot", text: `${text} → ${status}` });
+            });
+        });
+
+        /**
+         * 节点关闭时清除状态显示
+         */
+        node.on('close', function() {
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType("bt-condition", BTConditionNode);
+};
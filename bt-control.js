@@ -0,0 +1,126 @@
+/**
+ * Node-RED 行为树运行控制模块
+ * 通过管理接口直接启动、中止控制节点并查询其状态，不需要为此添加 inject 节点再重新部署：
+ * - POST /bt/:id/tick  启动一次执行（与 inject 节点的按钮相同），请求体为 JSON 时作为输入消息
+ * - POST /bt/:id/halt  中止执行，请求体可带 exec_id 只中止该执行
+ * - POST /bt/:id/step、/bt/:id/continue  让断点暂停的执行单步或继续，请求体可带 exec_id 只作用于该执行
+ * - GET  /bt/:id/state 查询节点状态
+ * 编辑器中节点的按钮和编辑对话框的"运行控制"调用这些接口
+ */
+"use strict";
+
+/**
+ * 可通过接口控制的节点类型
+ * @type {string[]}
+ */
+const CONTROL_TYPES = ["bt-sequence", "bt-parallel", "bt-repeat"];
+
+/**
+ * 注册运行控制管理接口
+ * @param {Object} RED - Node-RED 运行时对象
+ */
+module.exports = function(RED) {
+    /**
+     * 查找可控制的节点，找不到时返回错误响应
+     * @returns {Object|null} 节点对象
+     */
+    function find_node(req, res) {
+        const node = RED.nodes.getNode(req.params.id);
+        if (!node) {
+            res.status(404).json({ error: "节点不存在或尚未部署" });
+            return null;
+        }
+        if (CONTROL_TYPES.indexOf(node.type) === -1) {
+            res.status(400).json({ error: `不支持的节点类型: ${node.type}` });
+            return null;
+        }
+        return node;
+    }
+
+    /**
+     * 启动一次执行
+     * POST /bt/:id/tick
+     */
+    RED.httpAdmin.post("/bt/:id/tick", RED.auth.needsPermission("bt.write"), function(req, res) {
+        const node = find_node(req, res);
+        if (!node) return;
+
+        const msg = req.body && typeof req.body === "object" ? { ...req.body } : {};
+        if (msg.payload === undefined) msg.payload = Date.now();
+        delete msg.bt_halt;
+        try {
+            node.receive(msg);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        res.json(module.exports.state(node));
+    });
+
+    /**
+     * 中止执行
+     * POST /bt/:id/halt
+     */
+    RED.httpAdmin.post("/bt/:id/halt", RED.auth.needsPermission("bt.write"), function(req, res) {
+        const node = find_node(req, res);
+        if (!node) return;
+
+        const msg = { bt_halt: true };
+        if (req.body && req.body.exec_id) {
+            msg.__bt_exec_id = req.body.exec_id;
+        }
+        node.receive(msg);
+        res.json(module.exports.state(node));
+    });
+
+    /**
+     * 断点调试：单步或继续
+     * POST /bt/:id/step、POST /bt/:id/continue
+     */
+    ["step", "continue"].forEach(command => {
+        RED.httpAdmin.post(`/bt/:id/${command}`, RED.auth.needsPermission("bt.write"), function(req, res) {
+            const node = find_node(req, res);
+            if (!node) return;
+
+            const msg = { bt_debug: command };
+            if (req.body && req.body.exec_id) {
+                msg.__bt_exec_id = req.body.exec_id;
+            }
+            node.receive(msg);
+            res.json(module.exports.state(node));
+        });
+    });
+
+    /**
+     * 查询节点状态
+     * GET /bt/:id/state
+     */
+    RED.httpAdmin.get("/bt/:id/state", RED.auth.needsPermission("bt.read"), function(req, res) {
+        const node = find_node(req, res);
+        if (!node) return;
+        res.json(module.exports.state(node));
+    });
+};
+
+/**
+ * 控制节点的当前状态：运行中的执行和全局状态（黑板中 globalKey 的值）
+ * @param {Object} node - 控制节点
+ * @returns {Object}
+ */
+module.exports.state = function(node) {
+    const executions = Array.from(node.executions.values()).map(exec => ({
+        id: exec.id,
+        started_at: exec.started_at,
+        paused: exec.paused || null
+    }));
+    return {
+        id: node.id,
+        type: node.type,
+        name: node.name || "",
+        running: executions.length > 0,
+        paused: executions.some(exec => exec.paused),
+        latest_exec_id: node.latest_exec_id,
+        executions: executions,
+        state: node.blackboard.get(node.global_key)
+    };
+};
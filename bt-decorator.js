@@ -0,0 +1,371 @@
+const blackboard = require('./bt-blackboard');
+const monitor = require('./bt-monitor');
+const events = require('./bt-events');
+
+/**
+ * Node-RED 行为树装饰节点模块
+ * 实现行为树中的装饰（Decorator）节点：取反、强制成功、强制失败
+ * @param {Object} RED - Node-RED 运行时对象
+ */
+module.exports = function(RED) {
+    "use strict";
+
+    /**
+     * 行为树装饰节点构造函数
+     * @param {Object} config - 节点配置对象
+     */
+    function BTDecoratorNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // ==================== 配置参数 ====================
+        /**
+         * 装饰类型
+         * - invert: 取反，成功变失败、失败变成功
+         * - forceSuccess: 无论子节点结果如何都返回成功
+         * - forceFailure: 无论子节点结果如何都返回失败
+         * @type {string}
+         * @default "invert"
+         */
+        node.mode = config.mode || "invert";
+
+        /**
+         * 全局状态存储键名
+         * 子节点通过此键的 child_status 字段回报结果
+         * @type {string}
+         * @default "decorator_result"
+         */
+        node.global_key = config.globalKey || "decorator_result";
+
+        /**
+         * 子节点状态存储键名
+         * 执行结束后写入转换后的最终结果
+         * @type {string}
+         * @default "child_result"
+         */
+        node.child_key = config.childKey || "child_result";
+
+        /**
+         * 黑板访问器，状态键通过引用的黑板配置节点读写（未配置时使用 global 上下文）
+         * @type {Object}
+         */
+        node.blackboard = blackboard.create_accessor(node, RED.nodes.getNode(config.blackboard));
+
+        /**
+         * 轮询全局状态的时间间隔（毫秒），0 表示不轮询
+         * 子节点结果通过事件送达，只有通过全局状态回报结果的子节点需要轮询；旧版配置没有 pollInterval，保持 300ms 轮询
+         * @type {number}
+         * @default 0
+         */
+        node.check_interval = config.pollInterval !== undefined ? Number(config.pollInterval) || 0 : 300;
+
+        // ==================== 状态变量 ====================
+        /**
+         * 执行ID -> 执行状态，每次输入对应一个独立的执行
+         * @type {Map<string, Object>}
+         */
+        node.executions = new Map();
+
+        /**
+         * 最近启动的执行ID，全局状态的顶层字段对应此执行
+         * @type {string|null}
+         */
+        node.latest_exec_id = null;
+
+        /**
+         * 全局状态的顶层字段（最近启动的执行的状态），保存在内存中，写入时不需要先读取全局状态
+         * @type {Object|null}
+         */
+        node.state = null;
+
+        // 初始化节点状态显示
+        node.status({ fill: "grey", shape: "dot", text: "就绪" });
+
+        // 子节点结果通过事件直接送达，不需要连线回本节点
+        events.subscribe(node, receive_child_result);
+
+        /**
+         * 处理输入消息的事件监听器
+         * @param {Object} msg - 输入消息对象
+         */
+        node.on('input', function(msg) {
+            // 中止消息（msg.bt_halt）：停止对应的执行，并向正在运行的子节点传递
+            if (msg.bt_halt) {
+                find_executions(msg).forEach(exec => haltExecution(exec));
+                return;
+            }
+
+            // 子节点通过消息回报结果（msg.bt_status），不视为新的执行
+            if (is_child_result(msg)) {
+                receive_child_result(msg);
+                return;
+            }
+
+            // 创建新的执行
+            const exec = {
+                id: RED.util.generateId(),          // 执行ID，随消息传递给子节点
+                msg: RED.util.cloneMessage(msg),    // 本次执行的输入消息
+                timer: null,                        // 定期检查子节点状态的定时器句柄
+                is_running: true,
+                is_completed: false,
+                started_at: Date.now()              // 执行开始时间
+            };
+            node.executions.set(exec.id, exec);
+            node.latest_exec_id = exec.id;
+            monitor.trace(node, exec, "tick");
+
+            // 初始化全局状态对象
+            save_state(exec, {
+                type: "decorator",
+                mode: node.mode,
+                status: "running",
+                child_status: "running"
+            });
+            node.blackboard.set(node.child_key, "running");
+
+            // 执行子节点
+            node.send([create_child_msg(exec), null]);
+            monitor.trace(node, exec, "dispatch");
+            update_status("yellow", `执行子节点（${mode_label()}）`);
+
+            // 轮询模式：启动定时器，定期检查子节点执行状态
+            if (node.check_interval > 0) {
+                exec.timer = setInterval(() => check_child_state(exec), node.check_interval);
+            }
+        });
+
+        /**
+         * 创建发给子节点的消息
+         * @param {Object} exec - 执行状态对象
+         * @returns {Object} 子节点消息
+         */
+        function create_child_msg(exec) {
+            const child_msg = RED.util.cloneMessage(exec.msg);
+            // 记录父节点ID和执行ID，子节点可通过 msg.bt_status 直接回报结果
+            child_msg.__bt_parent = node.id;
+            child_msg.__bt_exec_id = exec.id;
+            delete child_msg.bt_status;
+            delete child_msg.bt_halt;
+            return child_msg;
+        }
+
+        /**
+         * 查找中止消息对应的执行
+         * 消息带有 __bt_exec_id 时只匹配该执行（本节点的执行ID或父节点传入的执行ID），否则匹配全部执行
+         * @param {Object} msg - 中止消息
+         * @returns {Object[]} 匹配的执行状态对象
+         */
+        function find_executions(msg) {
+            const executions = Array.from(node.executions.values());
+            if (msg.__bt_exec_id === undefined) return executions;
+            return executions.filter(exec => exec.id === msg.__bt_exec_id || exec.msg.__bt_exec_id === msg.__bt_exec_id);
+        }
+
+        /**
+         * 判断消息是否为子节点回报给本节点的结果
+         * @param {Object} msg - 输入消息对象
+         * @returns {boolean} 带有 bt_status 且父节点ID为本节点时返回 true
+         */
+        function is_child_result(msg) {
+            return msg.bt_status !== undefined && msg.__bt_parent === node.id;
+        }
+
+        /**
+         * 处理子节点回报的结果（通过事件或连线送达），不视为新的执行
+         * 执行结束后重复送达的结果会被忽略
+         * @param {Object} msg - 带有 bt_status 的结果消息
+         */
+        function receive_child_result(msg) {
+            const exec = node.executions.get(msg.__bt_exec_id);
+            if (exec) {
+                handle_child_result(exec, msg.bt_status);
+            }
+        }
+
+        /**
+         * 检查子节点执行状态
+         * 定期轮询全局状态，获取子节点写入的执行结果
+         * @param {Object} exec - 执行状态对象
+         */
+        function check_child_state(exec) {
+            if (!exec.is_running || exec.is_completed) return;
+
+            if (exec.id !== node.latest_exec_id) return;
+            const global_state = node.blackboard.get(node.global_key) || {};
+            handle_child_result(exec, global_state.child_status);
+        }
+
+        /**
+         * 处理子节点执行结果，按装饰类型转换后结束执行
+         * @param {Object} exec - 执行状态对象
+         * @param {string} child_status - 子节点执行结果（"success" 或 "failure"）
+         */
+        function handle_child_result(exec, child_status) {
+            if (!exec.is_running || exec.is_completed) return;
+
+            // 子节点未完成时不处理
+            if (child_status !== "success" && child_status !== "failure") return;
+
+            monitor.trace(node, exec, "child_result", { status: child_status, duration: Date.now() - exec.started_at });
+            finishExecution(exec, child_status, transform(child_status));
+        }
+
+        /**
+         * 按装饰类型转换子节点结果
+         * @param {string} child_status - 子节点执行结果
+         * @returns {string} 转换后的结果
+         */
+        function transform(child_status) {
+            switch (node.mode) {
+                case 'forceSuccess':
+                    return "success";
+                case 'forceFailure':
+                    return "failure";
+                case 'invert':
+                default:
+                    return child_status === "success" ? "failure" : "success";
+            }
+        }
+
+        /**
+         * 装饰类型的显示名称
+         * @returns {string}
+         */
+        function mode_label() {
+            switch (node.mode) {
+                case 'forceSuccess':
+                    return "强制成功";
+                case 'forceFailure':
+                    return "强制失败";
+                case 'invert':
+                default:
+                    return "取反";
+            }
+        }
+
+        /**
+         * 完成执行：更新全局状态，并从完成端口输出转换后的结果
+         * @param {Object} exec - 执行状态对象
+         * @param {string} child_status - 子节点原始结果
+         * @param {string} final_status - 转换后的最终结果
+         */
+        function finishExecution(exec, child_status, final_status) {
+            exec.is_completed = true;
+            exec.is_running = false;
+            node.executions.delete(exec.id);
+            clearInterval(exec.timer);
+            exec.timer = null;
+
+            const result = {
+                type: "decorator",
+                mode: node.mode,
+                status: final_status,
+                child_status: child_status
+            };
+            save_state(exec, result);
+            monitor.trace(node, exec, "finished", { status: final_status, duration: Date.now() - exec.started_at });
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, final_status);
+            }
+
+            const status_color = final_status === "success" ? "green" : "red";
+            update_status(status_color, `${final_status}（${mode_label()}，子节点 ${child_status}）`);
+
+            // 从完成端口发送结果消息，可直接连回父节点输入端口
+            const finished_at = Date.now();
+            const done_msg = RED.util.cloneMessage(exec.msg);
+            done_msg.bt_status = final_status;
+            done_msg.bt_result = {
+                ...result,
+                exec_id: exec.id,
+                started_at: exec.started_at,
+                finished_at: finished_at,
+                duration: finished_at - exec.started_at
+            };
+            node.send([null, done_msg]);
+            events.report(RED, done_msg);
+        }
+
+        /**
+         * 中止执行，并把中止消息发给子节点
+         * @param {Object} exec - 执行状态对象
+         */
+        function haltExecution(exec) {
+            exec.is_completed = true;
+            exec.is_running = false;
+            node.executions.delete(exec.id);
+            clearInterval(exec.timer);
+            exec.timer = null;
+
+            const halt_msg = create_child_msg(exec);
+            halt_msg.bt_halt = true;
+            node.send([halt_msg, null]);
+
+            save_state(exec, {
+                type: "decorator",
+                mode: node.mode,
+                status: "halted",
+                child_status: "halted"
+            });
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, "halted");
+            }
+
+            monitor.trace(node, exec, "halted", { duration: Date.now() - exec.started_at });
+
+            update_status("grey", "已中止");
+        }
+
+        /**
+         * 写入全局状态，写入前不读取全局状态
+         * 顶层字段只反映最近启动的执行，executions 中记录所有运行中执行（node.executions）的概要
+         * @param {Object} exec - 执行状态对象
+         * @param {Object} state - 该执行的完整状态对象
+         */
+        function save_state(exec, state) {
+            if (exec.id === node.latest_exec_id) {
+                node.state = { ...state, exec_id: exec.id };
+                monitor.publish(RED, node, exec, state);
+            }
+
+            const executions = {};
+            node.executions.forEach(running => {
+                executions[running.id] = { status: "running" };
+            });
+            // 轮询模式：通过全局状态回报结果的子节点可能已写入最近执行的 child_status，写入其他执行的变化时保留
+            const top = node.check_interval > 0 && exec.id !== node.latest_exec_id
+                ? node.blackboard.get(node.global_key) || node.state
+                : node.state;
+            node.blackboard.set(node.global_key, { ...top, executions: executions });
+        }
+
+        /**
+         * 更新节点状态显示，存在并发执行时附带执行数量
+         * @param {string} fill - 状态颜色
+         * @param {string} text - 状态文本
+         */
+        function update_status(fill, text) {
+            const running = node.executions.size;
+            node.status({ fill: fill, shape: "dot", text: running > 1 ? `${text}（${running}个执行中）` : text });
+        }
+
+        /**
+         * 节点关闭事件处理器
+         * 停止所有执行并清理定时器
+         */
+        node.on('close', function() {
+            node.executions.forEach(exec => {
+                exec.is_running = false;
+                exec.is_completed = true;
+                if (exec.timer) {
+                    clearInterval(exec.timer);
+                    exec.timer = null;
+                }
+            });
+            node.executions.clear();
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType("bt-decorator", BTDecoratorNode);
+};
@@ -0,0 +1,95 @@
+/**
+ * Node-RED 行为树条件求值模块
+ * bt-condition 和 bt-wait-until 共用的条件求值：简单比较（属性 运算符 值）或 JSONata 表达式
+ */
+"use strict";
+
+/**
+ * 比较运算符 -> [显示符号, 比较函数]
+ * 与 Node-RED switch 节点一致，相等比较使用宽松相等，"20" 与 20 视为相等
+ * @type {Object<string, Array>}
+ */
+const OPERATORS = {
+    eq: ["==", (a, b) => a == b],
+    neq: ["!=", (a, b) => a != b],
+    gt: [">", (a, b) => a > b],
+    gte: [">=", (a, b) => a >= b],
+    lt: ["<", (a, b) => a < b],
+    lte: ["<=", (a, b) => a <= b]
+};
+
+module.exports.OPERATORS = OPERATORS;
+
+/**
+ * 按节点的条件类型求值
+ * 节点需提供 condition_type、expression（JSONata）或 property/property_type、operator、value/value_type（比较）
+ * @param {Object} RED - Node-RED 运行时对象
+ * @param {Object} node - 条件节点
+ * @param {Object} msg - 输入消息对象
+ * @param {Function} callback - 回调 (err, passed, text)，text 为状态栏显示的求值结果
+ */
+module.exports.evaluate = function(RED, node, msg, callback) {
+    if (node.condition_type === "jsonata") {
+        RED.util.evaluateJSONataExpression(node.expression, msg, function(err, value) {
+            if (err) return callback(err);
+            callback(null, to_boolean(value), `值: ${format_value(value)}`);
+        });
+        return;
+    }
+
+    get_property(RED, node, node.property, node.property_type, msg, function(err, left) {
+        if (err) return callback(err);
+        get_property(RED, node, node.value, node.value_type, msg, function(err, right) {
+            if (err) return callback(err);
+            const [symbol, compare] = OPERATORS[node.operator];
+            callback(null, compare(left, right), `${format_value(left)} ${symbol} ${format_value(right)}`);
+        });
+    });
+};
+
+/**
+ * 读取属性值，兼容 msg/flow/global 及各种字面量类型
+ * @param {Object} RED - Node-RED 运行时对象
+ * @param {Object} node - 条件节点
+ * @param {string} value - 属性名或字面量
+ * @param {string} type - 属性类型
+ * @param {Object} msg - 输入消息对象
+ * @param {Function} callback - 回调 (err, value)，只调用一次
+ */
+function get_property(RED, node, value, type, msg, callback) {
+    // 只捕获求值本身的异常：回调（发送、回报结果）抛出的异常原样抛出，不再以错误重复回调
+    let called = false;
+    const done = (err, result) => {
+        called = true;
+        callback(err, result);
+    };
+    try {
+        RED.util.evaluateNodeProperty(value, type, node, msg, done);
+    } catch (err) {
+        if (called) throw err;
+        done(err);
+    }
+}
+
+/**
+ * 把表达式结果转换为条件是否成立
+ * 字符串 "success"/"failure" 直接使用，其他值按真假判断
+ * @param {*} value - 表达式结果
+ * @returns {boolean}
+ */
+function to_boolean(value) {
+    if (value === "success") return true;
+    if (value === "failure") return false;
+    return !!value;
+}
+
+/**
+ * 格式化状态栏显示的值，过长时截断
+ * @param {*} value - 任意值
+ * @returns {string}
+ */
+function format_value(value) {
+    let text = typeof value === "string" ? value : JSON.stringify(value);
+    if (text === undefined) text = "undefined";
+    return text.length > 20 ? text.slice(0, 20) + "…" : text;
+}
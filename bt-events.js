@@ -0,0 +1,45 @@
+/**
+ * Node-RED 行为树结果事件模块
+ * 子节点的执行结果（msg.bt_status）通过进程内事件直接送达父节点，
+ * 父节点不需要连线接收结果，也不需要定时轮询全局状态
+ */
+"use strict";
+
+const EventEmitter = require('events');
+
+/**
+ * 结果事件，事件名为父节点ID
+ * 每个控制节点注册一个监听器，节点数量没有上限，因此不限制监听器数量
+ * @type {EventEmitter}
+ */
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * 控制节点订阅发给自己的子节点结果，节点关闭时自动取消订阅
+ * @param {Object} node - 控制节点
+ * @param {Function} handler - 结果处理函数，参数为结果消息
+ */
+module.exports.subscribe = function(node, handler) {
+    emitter.on(node.id, handler);
+    node.on('close', function() {
+        emitter.removeListener(node.id, handler);
+    });
+};
+
+/**
+ * 把子节点结果送达 msg.__bt_parent 指定的父节点
+ * 与消息传递一样在下一轮事件循环中处理，避免在子节点的处理过程中重入父节点
+ * 结果也可能通过连线再次送达，父节点只处理仍在等待结果的子节点，重复的结果会被忽略
+ * @param {Object} RED - Node-RED 运行时对象
+ * @param {Object} msg - 带有 bt_status 的结果消息
+ * @returns {boolean} 父节点是否订阅了结果事件
+ */
+module.exports.report = function(RED, msg) {
+    if (!msg.__bt_parent || msg.bt_status === undefined) return false;
+    if (emitter.listenerCount(msg.__bt_parent) === 0) return false;
+
+    const result = RED.util.cloneMessage(msg);
+    setImmediate(() => emitter.emit(result.__bt_parent, result));
+    return true;
+};
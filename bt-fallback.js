@@ -0,0 +1,409 @@
+const blackboard = require('./bt-blackboard');
+const monitor = require('./bt-monitor');
+const events = require('./bt-events');
+
+module.exports = function(RED) {
+    "use strict";
+
+    function BTFallbackNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // 配置参数
+        // 子节点数量：最后一个输出端口为完成端口；旧版配置没有 childCount，全部端口都是子节点
+        node.child_count = config.childCount !== undefined ? Number(config.childCount) : Number(config.outputs);
+        node.global_key = config.globalKey || "fallback_result";    // 全局状态键名
+        node.child_key = config.childKey || "child_result";         // 全局状态键名
+        node.blackboard = blackboard.create_accessor(node, RED.nodes.getNode(config.blackboard));  // 黑板访问器（状态键的读写）
+        // 轮询间隔(ms)：子节点结果通过事件送达，只有通过全局状态回报结果的子节点需要轮询，0 表示不轮询
+        // 旧版配置没有 pollInterval，保持原来的 300ms 轮询
+        node.check_interval = config.pollInterval !== undefined ? Number(config.pollInterval) || 0 : 300;
+        node.timeout = Number(config.timeout) || 0;                 // 整体超时时间(ms)，0 表示不限制
+
+        // 状态变量
+        node.executions = new Map();                                // 执行ID -> 执行状态，每次输入对应一个执行
+        node.latest_exec_id = null;                                 // 最近启动的执行ID（全局状态顶层字段对应此执行）
+        node.state = null;                                          // 全局状态顶层字段（最近启动的执行的状态），写入时不需要先读取全局状态
+
+        // 初始化节点状态
+        node.status({ fill: "grey", shape: "dot", text: "就绪" });
+
+        // 子节点结果通过事件直接送达，不需要连线回本节点
+        events.subscribe(node, receive_child_result);
+
+        /**
+         * 启动选择执行逻辑
+         */
+        node.on('input', function(msg) {
+            // 中止消息（msg.bt_halt）：停止对应的执行，并向正在运行的子节点传递
+            if (msg.bt_halt) {
+                find_executions(msg).forEach(exec => haltExecution(exec));
+                return;
+            }
+
+            // 子节点通过消息回报结果（msg.bt_status），不视为新的执行
+            if (is_child_result(msg)) {
+                receive_child_result(msg);
+                return;
+            }
+
+            // 每次输入创建独立的执行，互不影响
+            const exec = {
+                id: RED.util.generateId(),                              // 执行ID，随消息传递给子节点
+                msg: RED.util.cloneMessage(msg),                        // 本次执行的输入消息
+                timer: null,
+                is_running: true,
+                is_completed: false,
+                current_index: -1,                                      // 当前执行的子节点索引（-1表示未开始）
+                child_status: new Array(node.child_count).fill("waiting"),  // 子节点状态数组
+                started_at: Date.now(),                                 // 执行开始时间
+                child_started: new Array(node.child_count).fill(null),  // 各子节点开始时间
+                child_durations: new Array(node.child_count).fill(null), // 各子节点耗时(ms)
+                deadline_timer: null,                                   // 超时定时器
+                timed_out: false,                                       // 是否因超时结束
+                state: null                                             // 本次执行的状态，执行第一个子节点时写入全局状态
+            };
+            exec.state = {
+                type: "fallback",
+                status: "running",
+                current_index: exec.current_index,
+                total_children: node.child_count,
+                child_status: exec.child_status
+            };
+            node.executions.set(exec.id, exec);
+            node.latest_exec_id = exec.id;
+            monitor.trace(node, exec, "tick");
+
+            // 初始化子状态
+            node.blackboard.set(node.child_key, "running");
+
+            // 立即执行第一个子节点
+            executeNextChild(exec);
+
+            // 轮询模式：启动状态检查定时器
+            if (exec.is_running && node.check_interval > 0) {
+                exec.timer = setInterval(() => check_child_state(exec), node.check_interval);
+            }
+
+            // 启动超时定时器
+            if (exec.is_running && node.timeout > 0) {
+                exec.deadline_timer = setTimeout(() => timeoutExecution(exec), node.timeout);
+            }
+        });
+
+        /**
+         * 执行下一个子节点
+         */
+        function executeNextChild(exec) {
+            if (!exec.is_running || exec.is_completed) return;
+
+            // 移动到下一个子节点索引
+            exec.current_index++;
+
+            // 所有子节点均失败
+            if (exec.current_index >= node.child_count) {
+                finishExecution(exec, "failure");
+                return;
+            }
+
+            // 执行当前子节点
+            exec.child_status[exec.current_index] = "running";
+            exec.child_started[exec.current_index] = Date.now();
+
+            // 发送到对应索引的输出端口
+            const output_msgs = Array(node.child_count).fill(null);
+            output_msgs[exec.current_index] = create_child_msg(exec, exec.current_index);
+            node.send(output_msgs);
+            monitor.trace(node, exec, "dispatch", { index: exec.current_index });
+
+            // 更新节点状态
+            update_status("yellow", `尝试子节点 ${exec.current_index + 1}/${node.child_count}`);
+
+            // 更新全局状态
+            save_state(exec, {
+                ...exec.state,
+                current_index: exec.current_index,
+                child_status: exec.child_status,
+                status: "running"
+            });
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, "running");
+            }
+        }
+
+        /**
+         * 创建发给指定子节点的消息
+         */
+        function create_child_msg(exec, index) {
+            const child_msg = RED.util.cloneMessage(exec.msg);
+            child_msg.__fallback_index = index;  // 传递当前子节点索引
+            child_msg.__bt_parent = node.id;   // 子节点回报结果时用于识别父节点
+            child_msg.__bt_exec_id = exec.id;  // 子节点回报结果时用于识别执行
+            delete child_msg.bt_status;
+            delete child_msg.bt_halt;
+            return child_msg;
+        }
+
+        /**
+         * 查找中止消息对应的执行
+         * 消息带有 __bt_exec_id 时只匹配该执行（本节点的执行ID或父节点传入的执行ID），否则匹配全部执行
+         */
+        function find_executions(msg) {
+            const executions = Array.from(node.executions.values());
+            if (msg.__bt_exec_id === undefined) return executions;
+            return executions.filter(exec => exec.id === msg.__bt_exec_id || exec.msg.__bt_exec_id === msg.__bt_exec_id);
+        }
+
+        /**
+         * 判断消息是否为发给本节点的子节点结果
+         */
+        function is_child_result(msg) {
+            return msg.bt_status !== undefined && msg.__bt_parent === node.id;
+        }
+
+        /**
+         * 处理子节点回报的结果（通过事件或连线送达），不视为新的执行
+         */
+        function receive_child_result(msg) {
+            const exec = node.executions.get(msg.__bt_exec_id);
+            if (exec && msg.__fallback_index === exec.current_index) {
+                handle_child_result(exec, msg.bt_status);
+            }
+        }
+
+        /**
+         * 检查当前子节点执行状态（轮询全局状态）
+         * 全局状态顶层字段只对应最近启动的执行，其他执行需通过 msg.bt_status 回报结果
+         */
+        function check_child_state(exec) {
+            if (!exec.is_running || exec.is_completed) return;
+            if (exec.current_index < 0 || exec.current_index >= node.child_count) return;
+
+            // 读取子节点状态（子节点应设置 child_status 中对应索引的状态 success/failure）
+            if (exec.id !== node.latest_exec_id) return;
+            const child_status = (node.blackboard.get(node.global_key) || {}).child_status || [];
+
+            handle_child_result(exec, child_status[exec.current_index]);
+        }
+
+        /**
+         * 处理当前子节点的执行结果（来自轮询或 msg.bt_status）
+         */
+        function handle_child_result(exec, child_status) {
+            if (!exec.is_running || exec.is_completed) return;
+            if (exec.current_index < 0 || exec.current_index >= node.child_count) return;
+
+            // 子节点未完成，或结果已经处理过（事件和连线重复送达）时不处理
+            if (child_status !== "success" && child_status !== "failure") return;
+            if (exec.child_status[exec.current_index] !== "running") return;
+
+            // 更新当前子节点状态记录
+            exec.child_status[exec.current_index] = child_status;
+            exec.child_durations[exec.current_index] = Date.now() - exec.child_started[exec.current_index];
+            monitor.trace(node, exec, "child_result", {
+                index: exec.current_index,
+                status: child_status,
+                duration: exec.child_durations[exec.current_index]
+            });
+
+            // 根据子节点结果决定下一步（执行下一个子节点或结束时写入全局状态）
+            if (child_status === "success") {
+                // 当前子节点成功，整体成功
+                finishExecution(exec, "success");
+            } else {
+                // 当前子节点失败，尝试下一个
+                executeNextChild(exec);
+            }
+        }
+
+        /**
+         * 完成选择执行
+         */
+        function finishExecution(exec, final_status) {
+            exec.is_completed = true;
+            exec.is_running = false;
+            clearInterval(exec.timer);
+            clearTimeout(exec.deadline_timer);
+            exec.timer = null;
+            exec.deadline_timer = null;
+            node.executions.delete(exec.id);
+
+            // 统计成功/失败的子节点索引
+            const success_indices = [];
+            const failure_indices = [];
+            exec.child_status.forEach((state, index) => {
+                if (state === "success") success_indices.push(index);
+                if (state === "failure") failure_indices.push(index);
+            });
+
+            // 更新全局状态
+            const result = {
+                type: "fallback",
+                status: final_status,
+                total_children: node.child_count,
+                completed_children: Math.min(exec.current_index + 1, node.child_count),
+                success_indices: success_indices,
+                failure_indices: failure_indices,
+                child_status: exec.child_status,
+                timed_out: exec.timed_out
+            };
+            save_state(exec, result);
+            monitor.trace(node, exec, "finished", {
+                status: final_status,
+                duration: Date.now() - exec.started_at,
+                timed_out: exec.timed_out
+            });
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, final_status);
+            }
+
+            let status_text = `${final_status}（共${node.child_count}个节点）`;
+            if (success_indices.length > 0) {
+                status_text = status_text + `节点${success_indices[0] + 1}成功`;
+            }
+            if (exec.timed_out) {
+                status_text = status_text + `超时（${node.timeout / 1000}秒）`;
+            }
+            const status_color = final_status === "success" ? "green" : "red";
+            update_status(status_color, status_text);
+
+            // 从完成端口发送结果消息
+            send_result(exec, result);
+        }
+
+        /**
+         * 从完成端口（最后一个输出端口）发送执行结果
+         * 结果消息基于本次执行的输入消息，保留父节点的 __bt_parent 等字段，可直接连回父节点输入端口
+         */
+        function send_result(exec, result) {
+            const finished_at = Date.now();
+            const done_msg = RED.util.cloneMessage(exec.msg);
+            done_msg.bt_status = result.status;
+            done_msg.bt_result = {
+                ...result,
+                exec_id: exec.id,
+                started_at: exec.started_at,
+                finished_at: finished_at,
+                duration: finished_at - exec.started_at,
+                child_durations: exec.child_durations
+            };
+
+            const output_msgs = Array(node.child_count + 1).fill(null);
+            output_msgs[node.child_count] = done_msg;
+            node.send(output_msgs);
+            events.report(RED, done_msg);
+        }
+
+        /**
+         * 中止选择执行，并把中止消息发给正在运行的子节点
+         */
+        function haltExecution(exec) {
+            exec.is_completed = true;
+            exec.is_running = false;
+            clearInterval(exec.timer);
+            clearTimeout(exec.deadline_timer);
+            exec.timer = null;
+            exec.deadline_timer = null;
+            node.executions.delete(exec.id);
+
+            // 中止正在运行的子节点
+            const index = exec.current_index;
+            halt_running_child(exec);
+
+            // 更新全局状态
+            save_state(exec, {
+                ...exec.state,
+                status: "halted",
+                child_status: exec.child_status
+            });
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, "halted");
+            }
+
+            monitor.trace(node, exec, "halted", { index: index, duration: Date.now() - exec.started_at });
+
+            update_status("grey", `已中止（子节点 ${Math.min(index + 1, node.child_count)}/${node.child_count}）`);
+        }
+
+        /**
+         * 向正在运行的子节点发送中止消息，并标记为 halted
+         */
+        function halt_running_child(exec) {
+            const index = exec.current_index;
+            if (index < 0 || index >= node.child_count || exec.child_status[index] !== "running") return;
+
+            exec.child_status[index] = "halted";
+            const halt_msg = create_child_msg(exec, index);
+            halt_msg.bt_halt = true;
+            const output_msgs = Array(node.child_count).fill(null);
+            output_msgs[index] = halt_msg;
+            node.send(output_msgs);
+        }
+
+        /**
+         * 执行超时：中止正在运行的子节点，整体失败
+         */
+        function timeoutExecution(exec) {
+            if (!exec.is_running || exec.is_completed) return;
+
+            exec.timed_out = true;
+            halt_running_child(exec);
+            finishExecution(exec, "failure");
+        }
+
+        /**
+         * 写入全局状态，每次状态变化只写入一次
+         * 执行状态保存在内存中（exec.state 和 node.executions），写入前不读取全局状态：
+         * 顶层字段只反映最近启动的执行（兼容通过全局状态回报结果的子节点），
+         * executions 中按执行ID记录所有运行中执行的概要，并发执行之间互不覆盖
+         */
+        function save_state(exec, state) {
+            exec.state = state;
+            if (exec.id === node.latest_exec_id) {
+                node.state = { ...state, exec_id: exec.id };
+                monitor.publish(RED, node, exec, state);
+            }
+
+            const executions = {};
+            node.executions.forEach(running => {
+                executions[running.id] = {
+                    status: "running",
+                    current_index: running.current_index,
+                    child_status: running.child_status
+                };
+            });
+            // 轮询模式：通过全局状态回报结果的子节点可能已写入最近执行的 child_status，写入其他执行的变化时保留
+            const top = node.check_interval > 0 && exec.id !== node.latest_exec_id
+                ? node.blackboard.get(node.global_key) || node.state
+                : node.state;
+            node.blackboard.set(node.global_key, { ...top, executions: executions });
+        }
+
+        /**
+         * 更新节点状态显示，存在并发执行时附带执行数量
+         */
+        function update_status(fill, text) {
+            const running = node.executions.size;
+            node.status({ fill: fill, shape: "dot", text: running > 1 ? `${text}（${running}个执行中）` : text });
+        }
+
+        /**
+         * 节点关闭时清理资源
+         */
+        node.on('close', function() {
+            node.executions.forEach(exec => {
+                exec.is_running = false;
+                exec.is_completed = true;
+                if (exec.timer) {
+                    clearInterval(exec.timer);
+                    exec.timer = null;
+                }
+                clearTimeout(exec.deadline_timer);
+            });
+            node.executions.clear();
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType("bt-fallback", BTFallbackNode);
+};
@@ -0,0 +1,56 @@
+const monitor = require('./bt-monitor');
+
+/**
+ * Node-RED 行为树执行指标节点模块
+ * 收到消息时把控制节点的执行指标汇总（JSON）写入 msg.payload 后输出，
+ * 可用于在流程中做告警、记录或展示；同样的指标以 Prometheus 文本格式由 GET /bt/metrics 提供
+ * @param {Object} RED - Node-RED 运行时对象
+ */
+module.exports = function(RED) {
+    "use strict";
+
+    /**
+     * 行为树执行指标节点构造函数
+     * @param {Object} config - 节点配置对象
+     */
+    function BTMetricsNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        /**
+         * 要汇总的控制节点ID，为空时汇总所有节点
+         * @type {string}
+         * @default ""
+         */
+        node.target = (config.target || "").trim();
+
+        /**
+         * 处理输入消息：读取指标汇总后输出
+         * @param {Object} msg - 触发消息
+         */
+        node.on('input', function(msg) {
+            const summary = monitor.metrics_summary(node.target || undefined);
+
+            msg.payload = node.target ? (summary[0] || null) : summary;
+            node.send(msg);
+
+            if (node.target) {
+                const entry = summary[0];
+                node.status(entry
+                    ? { fill: "grey", shape: "dot", text: `执行 ${entry.ticks} 次，成功 ${entry.successes}，失败 ${entry.failures}` }
+                    : { fill: "grey", shape: "ring", text: "暂无数据" });
+            } else {
+                node.status({ fill: "grey", shape: "dot", text: `${summary.length} 个节点` });
+            }
+        });
+
+        /**
+         * 节点关闭时清除状态显示
+         */
+        node.on('close', function() {
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType("bt-metrics", BTMetricsNode);
+};
@@ -0,0 +1,339 @@
+/**
+ * Node-RED 行为树运行监控模块
+ * - 控制节点状态变化时通过 RED.comms 推送到编辑器，供"行为树"侧边栏实时显示
+ * - 记录控制节点的结构化执行事件，保存在每个节点的环形缓冲区中，可通过管理接口查询或写入 JSON-lines 文件
+ * - 根据执行事件统计每个控制节点的指标（执行次数、成功/失败/中止次数、执行耗时和子节点耗时分布），
+ *   以 Prometheus 文本格式通过管理接口输出，也可以由 bt-metrics 节点读取 JSON 汇总
+ */
+"use strict";
+
+const fs = require('fs');
+
+/**
+ * 节点ID -> 执行事件环形缓冲区（按时间顺序，超出容量时丢弃最早的事件）
+ * 重新部署后保留，便于事后排查；节点被删除后在下次部署时清除
+ * @type {Map<string, Object[]>}
+ */
+const buffers = new Map();
+
+/**
+ * 每个节点保留的事件数量，可通过 settings.js 的 btTraceSize 配置
+ * @type {number}
+ */
+let trace_size = 500;
+
+/**
+ * JSON-lines 文件输出流，未配置 settings.js 的 btTraceFile 时为 null
+ * @type {fs.WriteStream|null}
+ */
+let sink = null;
+
+/**
+ * 节点ID -> 指标（计数器和耗时直方图），重新部署后保留，从 Node-RED 启动开始累计；节点被删除后在下次部署时清除
+ * @type {Map<string, Object>}
+ */
+const metrics = new Map();
+
+/**
+ * 耗时直方图的桶上限（毫秒），可通过 settings.js 的 btMetricsBuckets 配置
+ * @type {number[]}
+ */
+let buckets = [10, 50, 100, 500, 1000, 5000, 10000, 30000, 60000, 300000];
+
+/**
+ * 初始化监控模块：读取追踪配置并注册管理接口
+ * @param {Object} RED - Node-RED 运行时对象
+ */
+module.exports = function(RED) {
+    if (Number(RED.settings.btTraceSize) > 0) {
+        trace_size = Number(RED.settings.btTraceSize);
+    }
+
+    if (Array.isArray(RED.settings.btMetricsBuckets) && RED.settings.btMetricsBuckets.length > 0) {
+        buckets = RED.settings.btMetricsBuckets.map(Number).filter(v => v > 0).sort((a, b) => a - b);
+    }
+
+    if (RED.settings.btTraceFile && !sink) {
+        sink = fs.createWriteStream(RED.settings.btTraceFile, { flags: "a" });
+        sink.on('error', function(err) {
+            RED.log.warn(`行为树追踪文件写入失败，已停止写入: ${err.message}`);
+            sink = null;
+        });
+    }
+
+    // 每次部署后清除已不存在的节点的执行事件和指标，避免删除的节点一直占用内存并出现在 /bt/metrics 中
+    RED.events.on("flows:started", function() {
+        [buffers, metrics].forEach(map => {
+            Array.from(map.keys()).forEach(id => {
+                if (!RED.nodes.getNode(id)) map.delete(id);
+            });
+        });
+    });
+
+    /**
+     * 查询节点的执行事件
+     * GET /bt/trace/:nodeId?exec_id=<执行ID>&since=<时间戳>&limit=<数量>
+     */
+    RED.httpAdmin.get("/bt/trace/:nodeId", RED.auth.needsPermission("bt.read"), function(req, res) {
+        let events = buffers.get(req.params.nodeId);
+        if (!events && !RED.nodes.getNode(req.params.nodeId)) {
+            res.status(404).json({ error: "节点不存在" });
+            return;
+        }
+
+        events = events || [];
+        if (req.query.exec_id) {
+            events = events.filter(event => event.exec_id === req.query.exec_id);
+        }
+        if (req.query.since) {
+            const since = Number(req.query.since);
+            events = events.filter(event => event.ts > since);
+        }
+        const limit = parseInt(req.query.limit, 10);
+        if (limit > 0) {
+            events = events.slice(-limit);
+        }
+        res.json(events);
+    });
+
+    /**
+     * Prometheus 文本格式的指标
+     * GET /bt/metrics
+     */
+    RED.httpAdmin.get("/bt/metrics", RED.auth.needsPermission("bt.read"), function(req, res) {
+        res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+        res.send(prometheus_text());
+    });
+};
+
+/**
+ * 推送控制节点的最新状态
+ * 主题为 "bt/state/<节点ID>"，保留最后一条消息，编辑器打开后也能看到当前状态
+ * @param {Object} RED - Node-RED 运行时对象
+ * @param {Object} node - 控制节点
+ * @param {Object} exec - 执行状态对象（需包含 id 和 started_at）
+ * @param {Object} state - 写入全局状态的状态对象
+ */
+module.exports.publish = function(RED, node, exec, state) {
+    const now = Date.now();
+    RED.comms.publish(`bt/state/${node.id}`, {
+        id: node.id,
+        type: node.type,
+        name: node.name,
+        status: state.status,
+        exec_id: exec.id,
+        running: node.executions ? node.executions.size : undefined,
+        started_at: exec.started_at,
+        duration: now - exec.started_at,
+        current_index: state.current_index,
+        child_status: state.child_status,
+        updated_at: now
+    }, true);
+};
+
+/**
+ * 记录一条执行事件
+ * - tick: 开始执行，附带父节点ID和父执行ID，用于还原整棵树的调用关系
+ * - dispatch: 向子节点发送消息
+ * - child_result: 收到子节点结果
+ * - finished: 执行结束
+ * - halted: 执行被中止
+ * @param {Object} node - 控制节点
+ * @param {Object} exec - 执行状态对象
+ * @param {string} event - 事件类型
+ * @param {Object} [data] - 事件附加字段（如 index、status、duration）
+ */
+module.exports.trace = function(node, exec, event, data) {
+    const record = {
+        ts: Date.now(),
+        node_id: node.id,
+        node_type: node.type,
+        exec_id: exec.id,
+        event: event,
+        ...data
+    };
+    if (event === "tick") {
+        record.parent_id = exec.msg.__bt_parent;
+        record.parent_exec_id = exec.msg.__bt_exec_id;
+    }
+
+    let events = buffers.get(node.id);
+    if (!events) {
+        events = [];
+        buffers.set(node.id, events);
+    }
+    events.push(record);
+    if (events.length > trace_size) {
+        events.splice(0, events.length - trace_size);
+    }
+
+    if (sink) {
+        sink.write(JSON.stringify(record) + "\n");
+    }
+
+    observe(node, event, data || {});
+};
+
+/**
+ * 创建空的耗时直方图
+ * @returns {{counts: number[], count: number, sum: number, max: number}} counts 为各桶（不累计）的数量
+ */
+function create_histogram() {
+    return { counts: new Array(buckets.length).fill(0), count: 0, sum: 0, max: 0 };
+}
+
+/**
+ * 向直方图记录一个耗时
+ * @param {Object} histogram - 直方图
+ * @param {number} duration - 耗时（毫秒）
+ */
+function observe_duration(histogram, duration) {
+    histogram.count++;
+    histogram.sum += duration;
+    histogram.max = Math.max(histogram.max, duration);
+    const index = buckets.findIndex(bound => duration <= bound);
+    if (index !== -1) histogram.counts[index]++;
+}
+
+/**
+ * 根据执行事件更新节点指标
+ * 恢复的执行（断点续跑）不重复计入执行次数；子节点耗时只统计 sequence 和 parallel
+ * @param {Object} node - 控制节点
+ * @param {string} event - 事件类型
+ * @param {Object} data - 事件附加字段
+ */
+function observe(node, event, data) {
+    let entry = metrics.get(node.id);
+    if (!entry) {
+        entry = {
+            ticks: 0,
+            successes: 0,
+            failures: 0,
+            halts: 0,
+            duration: create_histogram(),
+            children: {}                    // 子节点序号（从 1 开始）-> 耗时直方图
+        };
+        metrics.set(node.id, entry);
+    }
+    entry.type = node.type;
+    entry.name = node.name || "";
+
+    switch (event) {
+        case "tick":
+            if (!data.resumed) entry.ticks++;
+            break;
+        case "finished":
+            if (data.status === "success") entry.successes++;
+            if (data.status === "failure") entry.failures++;
+            if (typeof data.duration === "number") observe_duration(entry.duration, data.duration);
+            break;
+        case "halted":
+            entry.halts++;
+            break;
+        case "child_result":
+            if ((node.type === "bt-sequence" || node.type === "bt-parallel") &&
+                typeof data.index === "number" && typeof data.duration === "number") {
+                const child = String(data.index + 1);
+                if (!entry.children[child]) entry.children[child] = create_histogram();
+                observe_duration(entry.children[child], data.duration);
+            }
+            break;
+    }
+}
+
+/**
+ * Prometheus 标签值转义
+ * @param {string} value - 标签值
+ * @returns {string}
+ */
+function escape_label(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+/**
+ * 生成 Prometheus 文本格式（0.0.4）的指标，耗时单位转换为秒
+ * @returns {string}
+ */
+function prometheus_text() {
+    const lines = [];
+    const labels = (id, entry, extra) => {
+        const pairs = [`node_id="${escape_label(id)}"`, `node_type="${escape_label(entry.type)}"`, `node_name="${escape_label(entry.name)}"`];
+        Object.keys(extra || {}).forEach(key => pairs.push(`${key}="${escape_label(extra[key])}"`));
+        return `{${pairs.join(",")}}`;
+    };
+    const counter = (name, help, field) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+        metrics.forEach((entry, id) => lines.push(`${name}${labels(id, entry)} ${entry[field]}`));
+    };
+    const histogram = (name, help, each) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`);
+        each((id, entry, histogram, extra) => {
+            let cumulative = 0;
+            buckets.forEach((bound, index) => {
+                cumulative += histogram.counts[index];
+                lines.push(`${name}_bucket${labels(id, entry, { ...extra, le: bound / 1000 })} ${cumulative}`);
+            });
+            lines.push(`${name}_bucket${labels(id, entry, { ...extra, le: "+Inf" })} ${histogram.count}`);
+            lines.push(`${name}_sum${labels(id, entry, extra)} ${histogram.sum / 1000}`);
+            lines.push(`${name}_count${labels(id, entry, extra)} ${histogram.count}`);
+        });
+    };
+
+    counter("bt_ticks_total", "控制节点开始执行的次数", "ticks");
+    counter("bt_successes_total", "执行结果为 success 的次数", "successes");
+    counter("bt_failures_total", "执行结果为 failure 的次数", "failures");
+    counter("bt_halts_total", "执行被中止的次数", "halts");
+    histogram("bt_run_duration_seconds", "执行耗时（秒）", emit => {
+        metrics.forEach((entry, id) => emit(id, entry, entry.duration, {}));
+    });
+    histogram("bt_child_duration_seconds", "sequence/parallel 子节点耗时（秒）", emit => {
+        metrics.forEach((entry, id) => {
+            Object.keys(entry.children).forEach(child => emit(id, entry, entry.children[child], { child: child }));
+        });
+    });
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * 直方图的 JSON 汇总（毫秒）
+ * @param {Object} histogram - 直方图
+ * @returns {{count: number, sum: number, avg: number|null, max: number|null}}
+ */
+function summarize_histogram(histogram) {
+    return {
+        count: histogram.count,
+        sum: histogram.sum,
+        avg: histogram.count > 0 ? Math.round(histogram.sum / histogram.count) : null,
+        max: histogram.count > 0 ? histogram.max : null
+    };
+}
+
+/**
+ * 指标的 JSON 汇总
+ * @param {string} [node_id] - 只汇总该节点，省略时汇总所有节点
+ * @returns {Object[]} 每个节点一项：执行/成功/失败/中止次数、成功率、执行耗时和各子节点耗时（毫秒）
+ */
+module.exports.metrics_summary = function(node_id) {
+    const result = [];
+    metrics.forEach((entry, id) => {
+        if (node_id && id !== node_id) return;
+        const finished = entry.successes + entry.failures;
+        const children = {};
+        Object.keys(entry.children).forEach(child => {
+            children[child] = summarize_histogram(entry.children[child]);
+        });
+        result.push({
+            node_id: id,
+            node_type: entry.type,
+            node_name: entry.name,
+            ticks: entry.ticks,
+            successes: entry.successes,
+            failures: entry.failures,
+            halts: entry.halts,
+            success_rate: finished > 0 ? entry.successes / finished : null,
+            duration: summarize_histogram(entry.duration),
+            children: children
+        });
+    });
+    return result;
+};
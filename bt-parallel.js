@@ -1,3 +1,8 @@
+const blackboard = require('./bt-blackboard');
+const monitor = require('./bt-monitor');
+const events = require('./bt-events');
+const checkpoints = require('./bt-checkpoint');
+
 module.exports = function(RED) {
     "use strict";
 
@@ -6,84 +11,331 @@ module.exports = function(RED) {
         const node = this;
 
         // 配置参数
-        node.child_count = config.outputs;                              // 子节点数量
+        // 子节点数量：最后一个输出端口为完成端口；旧版配置没有 childCount，全部端口都是子节点
+        node.child_count = config.childCount !== undefined ? Number(config.childCount) : Number(config.outputs);
         node.completion_type = config.completionType || "all_success";  // 完成条件
+        node.success_threshold = clamp_threshold(config.successThreshold, 1);  // 阈值模式：成功子节点数达到 M 时成功
+        node.failure_threshold = clamp_threshold(config.failureThreshold, 1);  // 阈值模式：失败子节点数达到 K 时失败
         node.global_key = config.globalKey || "parallel_result";        // 全局状态键名
         node.child_key = config.childKey || "child_result";         // 全局状态键名
-        node.check_interval = 500;                                      // 状态检查间隔(ms)
+        node.blackboard = blackboard.create_accessor(node, RED.nodes.getNode(config.blackboard));  // 黑板访问器（状态键的读写）
+        // 轮询间隔(ms)：子节点结果通过事件送达，只有通过全局状态回报结果的子节点需要轮询，0 表示不轮询
+        // 旧版配置没有 pollInterval，保持原来的 500ms 轮询
+        node.check_interval = config.pollInterval !== undefined ? Number(config.pollInterval) || 0 : 500;
+        node.timeout = Number(config.timeout) || 0;                     // 整体超时时间(ms)，0 表示不限制
+        // 断点：逗号分隔的子节点序号（从 1 开始），* 表示所有子节点；子节点按序号依次启动，启动断点子节点前暂停
+        const breakpoints = String(config.breakpoints || "").split(",").map(s => s.trim()).filter(s => s);
+        node.break_all = breakpoints.indexOf("*") !== -1;
+        node.breakpoints = breakpoints.map(Number).filter(n => Number.isInteger(n) && n >= 1).map(n => n - 1);
 
         // 状态变量
-        node.timer = null;
-        node.is_running = false;
-        node.is_completed = false;
-        node.child_status = new Array(node.child_count).fill("waiting");    // 子节点状态数组
-        node.active_children = 0;                                           // 活跃子节点数量
+        node.executions = new Map();                                        // 执行ID -> 执行状态，每次输入对应一个执行
+        node.latest_exec_id = null;                                         // 最近启动的执行ID（全局状态顶层字段对应此执行）
+        node.state = null;                                                  // 全局状态顶层字段（最近启动的执行的状态），写入时不需要先读取全局状态
+        // 断点续跑（config.checkpoint）：none 不保存进度；resume 重新部署或重启后继续执行；interrupted 重新部署或重启后输出 interrupted 结果
+        node.checkpoints = checkpoints.create(RED, node, config, {
+            serialize: exec => ({
+                child_count: node.child_count,
+                child_status: exec.child_status.slice(),
+                child_durations: exec.child_durations.slice()
+            }),
+            compatible: checkpoint => checkpoint.child_count === node.child_count,
+            resume: resume_execution,
+            interrupted: report_interrupted
+        });
 
         // 初始化节点状态
         node.status({ fill: "grey", shape: "dot", text: "就绪" });
 
+        // 子节点结果通过事件直接送达，不需要连线回本节点
+        events.subscribe(node, receive_child_result);
+
+        /**
+         * 解析阈值配置，限制在 1 到子节点数量之间
+         */
+        function clamp_threshold(value, default_value) {
+            const parsed = parseInt(value, 10);
+            if (isNaN(parsed)) return default_value;
+            return Math.min(Math.max(parsed, 1), Math.max(node.child_count, 1));
+        }
+
         /**
          * 启动并行逻辑
          */
         node.on('input', function(msg) {
-            // 重置状态
-            node.is_running = true;
-            node.is_completed = false;
-            node.child_status.fill("waiting");
-            node.active_children = 0;
-            node.context().global.set(node.global_key, {
+            // 中止消息（msg.bt_halt）：停止对应的执行，并向正在运行的子节点传递
+            if (msg.bt_halt) {
+                find_executions(msg).forEach(exec => haltExecution(exec));
+                return;
+            }
+
+            // 子节点通过消息回报结果（msg.bt_status），不视为新的执行
+            if (is_child_result(msg)) {
+                receive_child_result(msg);
+                return;
+            }
+
+            // 调试命令（msg.bt_debug = "step"/"continue"）：让暂停的执行继续，不视为新的执行
+            if (msg.bt_debug) {
+                find_executions(msg).forEach(exec => continueExecution(exec, msg.bt_debug));
+                return;
+            }
+
+            // 断点续跑：父节点恢复后重新发来的消息由已恢复的执行接管，不创建新的执行
+            const resumed = node.checkpoints.find_resumed_execution(msg);
+            if (resumed) {
+                resumed.resumed = false;
+                return;
+            }
+
+            // 每次输入创建独立的执行，互不影响
+            const exec = {
+                id: RED.util.generateId(),                                  // 执行ID，随消息传递给子节点
+                msg: RED.util.cloneMessage(msg),                            // 本次执行的输入消息
+                timer: null,
+                is_running: true,
+                is_completed: false,
+                child_status: new Array(node.child_count).fill("waiting"),  // 子节点状态数组
+                active_children: 0,                                         // 活跃子节点数量
+                started_at: Date.now(),                                     // 执行开始时间
+                child_started: new Array(node.child_count).fill(null),      // 各子节点开始时间（断点暂停后启动的子节点晚于执行开始）
+                child_durations: new Array(node.child_count).fill(null),    // 各子节点耗时(ms)
+                deadline_timer: null,                                       // 超时定时器
+                timed_out: false,                                           // 是否因超时结束
+                next_index: 0,                                              // 下一个待启动的子节点索引
+                paused: null,                                               // 断点暂停信息（{ index, paused_at }），未暂停时为 null
+                stepping: false,                                            // 单步执行：启动下一个子节点前再次暂停
+                state: null                                                 // 本次执行的状态（内存中），变化时写入全局状态
+            };
+            node.executions.set(exec.id, exec);
+            node.latest_exec_id = exec.id;
+            monitor.trace(node, exec, "tick");
+            save_state(exec, {
                 type: "parallel",
                 status: "running",
-                child_status: node.child_status
+                child_status: exec.child_status
             });
 
             // 初始化子状态
-            node.context().global.set(node.child_key, "running");
+            node.blackboard.set(node.child_key, "running");
+
+            // 同时启动所有子节点（遇到断点时暂停）
+            dispatchChildren(exec, false);
+            if (!exec.paused) {
+                update_status("yellow", running_text());
+            }
+            start_timers(exec);
+        });
 
-            // 清理旧定时器
-            if (node.timer) {
-                clearInterval(node.timer);
-                node.timer = null;
+        /**
+         * 执行中的状态文本
+         */
+        function running_text() {
+            let status_text = `并行执行 ${node.child_count} 个子节点`;
+            if (node.completion_type === "threshold") {
+                status_text = status_text + `（成功≥${node.success_threshold}，失败≥${node.failure_threshold}）`;
             }
+            return status_text;
+        }
 
-            // 同时启动所有子节点
-            const cur_msg = RED.util.cloneMessage(msg);
+        /**
+         * 按序号依次启动等待中的子节点，在断点子节点前暂停
+         * @param {boolean} skip_breakpoint - 继续命令：第一个子节点即使是断点也直接启动
+         */
+        function dispatchChildren(exec, skip_breakpoint) {
             const output_msgs = Array(node.child_count).fill(null);
-            node.child_status.forEach((_, index) => {
-                output_msgs[index] = RED.util.cloneMessage(cur_msg);
-                output_msgs[index].__parallel_index = index; // 子节点索引
-                node.child_status[index] = "running";
-                node.active_children++;
+            const dispatched = [];
+            for (; exec.next_index < node.child_count; exec.next_index++) {
+                const index = exec.next_index;
+                if (exec.child_status[index] !== "waiting") continue;
+                if (!skip_breakpoint && (exec.stepping || node.break_all || node.breakpoints.indexOf(index) !== -1)) {
+                    pauseExecution(exec, index);
+                    break;
+                }
+                skip_breakpoint = false;
+                output_msgs[index] = create_child_msg(exec, index);
+                exec.child_status[index] = "running";
+                exec.child_started[index] = Date.now();
+                exec.active_children++;
+                dispatched.push(index);
+            }
+            if (dispatched.length > 0) {
+                node.send(output_msgs);
+                dispatched.forEach(index => monitor.trace(node, exec, "dispatch", { index: index }));
+            }
+        }
+
+        /**
+         * 断点：在启动指定子节点前暂停，等待单步或继续命令
+         * 已启动的子节点照常运行，结果满足完成条件时执行照常结束
+         */
+        function pauseExecution(exec, index) {
+            exec.paused = { index: index, paused_at: Date.now() };
+            exec.stepping = false;
+            monitor.trace(node, exec, "paused", { index: index });
+            update_status("blue", `暂停在子节点 ${index + 1}/${node.child_count}`);
+            save_state(exec, {
+                ...exec.state,
+                child_status: exec.child_status,
+                status: "paused"
             });
-            node.send(output_msgs);
-            node.status({ fill: "yellow", shape: "dot", text: `并行执行 ${node.child_count} 个子节点` });
+        }
 
-            // 启动状态检查定时器
-            node.timer = setInterval(() => check_child_status(), node.check_interval);
-        });
+        /**
+         * 调试命令：step 启动暂停的子节点后在下一个子节点前再次暂停；continue 启动到下一个断点
+         */
+        function continueExecution(exec, command) {
+            if (!exec.is_running || exec.is_completed || !exec.paused) return;
+            exec.paused = null;
+            exec.stepping = command === "step";
+            monitor.trace(node, exec, "continued", { index: exec.next_index, command: command });
+            dispatchChildren(exec, true);
+            if (!exec.paused) {
+                save_state(exec, {
+                    ...exec.state,
+                    child_status: exec.child_status,
+                    status: "running"
+                });
+                update_status("yellow", running_text());
+            }
+        }
 
         /**
-         * 检查子节点状态并判断完成条件
+         * 启动状态检查定时器（轮询模式）和超时定时器
+         * 超时按执行开始时间计算，恢复的执行只剩余未用完的时间
          */
-        function check_child_status() {
-            if (!node.is_running || node.is_completed) return;
+        function start_timers(exec) {
+            if (node.check_interval > 0) {
+                exec.timer = setInterval(() => poll_child_status(exec), node.check_interval);
+            }
+            if (node.timeout > 0) {
+                const remaining = Math.max(0, node.timeout - (Date.now() - exec.started_at));
+                exec.deadline_timer = setTimeout(() => timeoutExecution(exec), remaining);
+            }
+        }
+
+        /**
+         * 创建发给指定子节点的消息
+         */
+        function create_child_msg(exec, index) {
+            const child_msg = RED.util.cloneMessage(exec.msg);
+            child_msg.__parallel_index = index; // 子节点索引
+            child_msg.__bt_parent = node.id;    // 子节点回报结果时用于识别父节点
+            child_msg.__bt_exec_id = exec.id;   // 子节点回报结果时用于识别执行
+            delete child_msg.bt_status;
+            delete child_msg.bt_halt;
+            return child_msg;
+        }
+
+        /**
+         * 向仍在运行的子节点发送中止消息，并标记为 halted
+         */
+        function halt_running_children(exec) {
+            const output_msgs = Array(node.child_count).fill(null);
+            let halted = 0;
+            exec.child_status.forEach((state, index) => {
+                if (state !== "running") return;
+                exec.child_status[index] = "halted";
+                output_msgs[index] = create_child_msg(exec, index);
+                output_msgs[index].bt_halt = true;
+                halted++;
+            });
+            if (halted > 0) node.send(output_msgs);
+            return halted;
+        }
+
+        /**
+         * 查找中止消息对应的执行
+         * 消息带有 __bt_exec_id 时只匹配该执行（本节点的执行ID或父节点传入的执行ID），否则匹配全部执行
+         */
+        function find_executions(msg) {
+            const executions = Array.from(node.executions.values());
+            if (msg.__bt_exec_id === undefined) return executions;
+            return executions.filter(exec => exec.id === msg.__bt_exec_id || exec.msg.__bt_exec_id === msg.__bt_exec_id);
+        }
+
+        /**
+         * 判断消息是否为发给本节点的子节点结果
+         */
+        function is_child_result(msg) {
+            return msg.bt_status !== undefined && msg.__bt_parent === node.id;
+        }
+
+        /**
+         * 处理子节点回报的结果（通过事件或连线送达），不视为新的执行
+         */
+        function receive_child_result(msg) {
+            const exec = node.executions.get(msg.__bt_exec_id);
+            if (exec) {
+                handle_child_result(exec, msg.__parallel_index, msg.bt_status);
+            }
+        }
+
+        /**
+         * 处理某个子节点回报的结果，已经处理过的子节点（事件和连线重复送达）会被忽略
+         */
+        function handle_child_result(exec, index, child_status) {
+            if (!exec.is_running || exec.is_completed) return;
+            if (!(index >= 0 && index < node.child_count)) return;
+            if (child_status !== "success" && child_status !== "failure") return;
+            if (exec.child_status[index] !== "running") return;
+
+            // 立即判断完成条件，结束时由 finishExecution 写入全局状态，否则在此写入
+            exec.child_status[index] = child_status;
+            exec.child_durations[index] = Date.now() - exec.child_started[index];
+            monitor.trace(node, exec, "child_result", { index: index, status: child_status, duration: exec.child_durations[index] });
+            check_child_status(exec);
+            if (exec.is_running) {
+                save_state(exec, {
+                    ...exec.state,
+                    child_status: exec.child_status
+                });
+            }
+        }
+
+        /**
+         * 轮询全局状态中的子节点状态，再判断完成条件
+         * 全局状态顶层字段只对应最近启动的执行，其他执行需通过 msg.bt_status 回报结果
+         */
+        function poll_child_status(exec) {
+            if (!exec.is_running || exec.is_completed) return;
 
             // 读取全局状态
-            const global_state = node.context().global.get(node.global_key) || {};
+            const global_state = exec.id === node.latest_exec_id ? node.blackboard.get(node.global_key) || {} : {};
             if (global_state.child_status) {
-                node.child_status = global_state.child_status;
+                exec.child_status = global_state.child_status;
             }
+            check_child_status(exec);
+        }
+
+        /**
+         * 检查子节点状态并判断完成条件
+         */
+        function check_child_status(exec) {
+            if (!exec.is_running || exec.is_completed) return;
 
             // 统计成功/失败的子节点索引
             const success_indices = []; // 成功的子节点索引（如 [0, 2]）
             const failure_indices = []; // 失败的子节点索引（如 [1]）
-            node.child_status.forEach((state, index) => {
+            exec.child_status.forEach((state, index) => {
                 if (state === "success") success_indices.push(index);
                 if (state === "failure") failure_indices.push(index);
             });
             const success_count = success_indices.length;
             const failure_count = failure_indices.length;
-            node.active_children = node.child_status.filter(s => s === "running").length;
+            success_indices.concat(failure_indices).forEach(index => {
+                // 通过全局状态回报的子节点，在检查时记录耗时
+                if (exec.child_durations[index] === null) {
+                    exec.child_durations[index] = Date.now() - (exec.child_started[index] || exec.started_at);
+                    monitor.trace(node, exec, "child_result", {
+                        index: index,
+                        status: exec.child_status[index],
+                        duration: exec.child_durations[index]
+                    });
+                }
+            });
+            // 断点暂停时尚未启动的子节点仍可能成功，计入活跃子节点
+            exec.active_children = exec.child_status.filter(s => s === "running" || s === "waiting").length;
 
             // 判断完成条件
             let is_complete = false;
@@ -116,42 +368,275 @@ module.exports = function(RED) {
                         final_status = success_count > 0 ? "success" : "failure";
                     }
                     break;
+
+                case "threshold":
+                    // M-of-N：成功数达到成功阈值则成功；失败数达到失败阈值，
+                    // 或剩余子节点全部成功也无法达到成功阈值时失败
+                    if (success_count >= node.success_threshold) {
+                        is_complete = true;
+                        final_status = "success";
+                    } else if (failure_count >= node.failure_threshold ||
+                               success_count + exec.active_children < node.success_threshold) {
+                        is_complete = true;
+                        final_status = "failure";
+                    }
+                    break;
             }
 
             // 满足条件时结束
             if (is_complete) {
-                node.is_completed = true;
-                node.is_running = false;
-                clearInterval(node.timer);
-                node.timer = null;
-
-                // 更新全局状态
-                node.context().global.set(node.global_key, {
-                    type: "parallel",
-                    status: final_status,
-                    child_status: node.child_status
-                });
+                finishExecution(exec, final_status);
+            }
+        }
 
-                // 初始化子状态
-                node.context().global.set(node.child_key, final_status);
+        /**
+         * 完成并行执行
+         */
+        function finishExecution(exec, final_status) {
+            exec.is_completed = true;
+            exec.is_running = false;
+            exec.paused = null;
+            clearInterval(exec.timer);
+            clearTimeout(exec.deadline_timer);
+            exec.timer = null;
+            exec.deadline_timer = null;
+            node.executions.delete(exec.id);
+
+            // 结果已确定，中止仍在运行的兄弟节点
+            halt_running_children(exec);
+
+            // 统计成功/失败的子节点索引
+            const success_indices = [];
+            const failure_indices = [];
+            exec.child_status.forEach((state, index) => {
+                if (state === "success") success_indices.push(index);
+                if (state === "failure") failure_indices.push(index);
+            });
 
-                // 更新节点状态文本（显示具体成功/失败的节点索引）
-                const status_text = `${final_status}（共${node.child_count}个）成功节点: [${success_indices}]失败节点: [${failure_indices}]`;
-                const status_color = final_status === "success" ? "green" : "red";
-                node.status({ fill: status_color, shape: "dot", text: status_text });
+            // 更新全局状态
+            save_state(exec, {
+                type: "parallel",
+                status: final_status,
+                child_status: exec.child_status,
+                timed_out: exec.timed_out
+            });
+            monitor.trace(node, exec, "finished", {
+                status: final_status,
+                duration: Date.now() - exec.started_at,
+                timed_out: exec.timed_out
+            });
+
+            // 初始化子状态
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, final_status);
             }
+
+            // 更新节点状态文本（显示具体成功/失败的节点索引）
+            let status_text = `${final_status}（共${node.child_count}个）成功节点: [${success_indices}]失败节点: [${failure_indices}]`;
+            if (exec.timed_out) {
+                status_text = status_text + `超时（${node.timeout / 1000}秒）`;
+            }
+            const status_color = final_status === "success" ? "green" : "red";
+            update_status(status_color, status_text);
+
+            // 从完成端口发送结果消息
+            send_result(exec, {
+                type: "parallel",
+                status: final_status,
+                total_children: node.child_count,
+                success_indices: success_indices,
+                failure_indices: failure_indices,
+                child_status: exec.child_status,
+                timed_out: exec.timed_out
+            });
+        }
+
+        /**
+         * 执行超时：中止所有仍在运行的子节点，整体失败
+         */
+        function timeoutExecution(exec) {
+            if (!exec.is_running || exec.is_completed) return;
+
+            exec.timed_out = true;
+            finishExecution(exec, "failure");
+        }
+
+        /**
+         * 从完成端口（最后一个输出端口）发送执行结果
+         * 结果消息基于本次执行的输入消息，保留父节点的 __bt_parent 等字段，可直接连回父节点输入端口
+         */
+        function send_result(exec, result) {
+            const finished_at = Date.now();
+            const done_msg = RED.util.cloneMessage(exec.msg);
+            done_msg.bt_status = result.status;
+            done_msg.bt_result = {
+                ...result,
+                exec_id: exec.id,
+                started_at: exec.started_at,
+                finished_at: finished_at,
+                duration: finished_at - exec.started_at,
+                child_durations: exec.child_durations
+            };
+
+            const output_msgs = Array(node.child_count + 1).fill(null);
+            output_msgs[node.child_count] = done_msg;
+            node.send(output_msgs);
+            events.report(RED, done_msg);
+        }
+
+        /**
+         * 中止并行执行，并把中止消息发给所有正在运行的子节点
+         */
+        function haltExecution(exec) {
+            exec.is_completed = true;
+            exec.is_running = false;
+            exec.paused = null;
+            clearInterval(exec.timer);
+            clearTimeout(exec.deadline_timer);
+            exec.timer = null;
+            exec.deadline_timer = null;
+            node.executions.delete(exec.id);
+
+            const halted = halt_running_children(exec);
+
+            // 更新全局状态
+            save_state(exec, {
+                type: "parallel",
+                status: "halted",
+                child_status: exec.child_status
+            });
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, "halted");
+            }
+
+            monitor.trace(node, exec, "halted", { halted_children: halted, duration: Date.now() - exec.started_at });
+
+            update_status("grey", `已中止（中止 ${halted} 个子节点）`);
+        }
+
+        /**
+         * 写入全局状态，每次状态变化只写入一次
+         * 执行状态保存在内存中（exec.state 和 node.executions），写入前不读取全局状态：
+         * 顶层字段只反映最近启动的执行（兼容通过全局状态回报结果的子节点），
+         * executions 中按执行ID记录所有运行中执行的概要，并发执行之间互不覆盖
+         */
+        function save_state(exec, state) {
+            exec.state = state;
+            // 断点暂停信息（paused）始终反映执行的当前状态
+            if (exec.id === node.latest_exec_id) {
+                node.state = { ...state, paused: exec.paused, exec_id: exec.id };
+                monitor.publish(RED, node, exec, state);
+            }
+
+            const executions = {};
+            node.executions.forEach(running => {
+                executions[running.id] = {
+                    status: running.paused ? "paused" : "running",
+                    child_status: running.child_status,
+                    paused: running.paused
+                };
+            });
+            // 轮询模式：通过全局状态回报结果的子节点可能已写入最近执行的 child_status，写入其他执行的变化时保留
+            const top = node.check_interval > 0 && exec.id !== node.latest_exec_id
+                ? node.blackboard.get(node.global_key) || node.state
+                : node.state;
+            node.blackboard.set(node.global_key, { ...top, executions: executions });
+            node.checkpoints.save(exec);
+        }
+
+        /**
+         * 断点续跑：按保存的进度恢复执行，已完成子节点的结果保留，重新执行尚未完成的子节点
+         * 执行ID保持不变，父节点和子节点据此继续对应
+         */
+        function resume_execution(checkpoint) {
+            const exec = {
+                id: checkpoint.id,
+                msg: checkpoint.msg,
+                timer: null,
+                is_running: true,
+                is_completed: false,
+                resumed: true,                                              // 从保存的进度恢复，父节点重新发来的消息由本执行接管
+                child_status: checkpoint.child_status,
+                active_children: 0,
+                started_at: checkpoint.started_at,
+                child_started: new Array(node.child_count).fill(null),
+                child_durations: checkpoint.child_durations,
+                deadline_timer: null,
+                timed_out: false,
+                next_index: 0,
+                paused: null,
+                stepping: false,
+                state: null
+            };
+            node.executions.set(exec.id, exec);
+            node.latest_exec_id = exec.id;
+            monitor.trace(node, exec, "tick", { resumed: true });
+
+            // 重新启动中断时尚未完成的子节点
+            exec.child_status.forEach((state, index) => {
+                if (state === "running") exec.child_status[index] = "waiting";
+            });
+            save_state(exec, {
+                type: "parallel",
+                status: "running",
+                child_status: exec.child_status
+            });
+            node.blackboard.set(node.child_key, "running");
+            dispatchChildren(exec, false);
+            if (!exec.paused) {
+                update_status("yellow", `继续执行 ${exec.active_children} 个子节点`);
+            }
+            start_timers(exec);
+
+            // 保存的结果可能已满足完成条件（如通过全局状态回报后尚未检查）
+            check_child_status(exec);
+        }
+
+        /**
+         * 断点续跑：从完成端口输出 interrupted 结果，不再继续执行
+         */
+        function report_interrupted(checkpoint) {
+            const done_msg = RED.util.cloneMessage(checkpoint.msg);
+            done_msg.bt_status = "interrupted";
+            done_msg.bt_result = {
+                type: "parallel",
+                status: "interrupted",
+                total_children: checkpoint.child_count,
+                child_status: checkpoint.child_status,
+                exec_id: checkpoint.id,
+                started_at: checkpoint.started_at,
+                interrupted_at: checkpoint.saved_at,
+                child_durations: checkpoint.child_durations
+            };
+
+            const output_msgs = Array(node.child_count + 1).fill(null);
+            output_msgs[node.child_count] = done_msg;
+            node.send(output_msgs);
+            node.status({ fill: "grey", shape: "ring", text: `已中断（共${checkpoint.child_count}个）` });
+        }
+
+        /**
+         * 更新节点状态显示，存在并发执行时附带执行数量
+         */
+        function update_status(fill, text) {
+            const running = node.executions.size;
+            node.status({ fill: fill, shape: "dot", text: running > 1 ? `${text}（${running}个执行中）` : text });
         }
 
         /**
          * 节点关闭时清理资源
          */
         node.on('close', function() {
-            node.is_running = false;
-            node.is_completed = true;
-            if (node.timer) {
-                clearInterval(node.timer);
-                node.timer = null;
-            }
+            node.executions.forEach(exec => {
+                exec.is_running = false;
+                exec.is_completed = true;
+                if (exec.timer) {
+                    clearInterval(exec.timer);
+                    exec.timer = null;
+                }
+                clearTimeout(exec.deadline_timer);
+            });
+            node.executions.clear();
             node.status({});
         });
     }
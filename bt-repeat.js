@@ -1,3 +1,8 @@
+const blackboard = require('./bt-blackboard');
+const monitor = require('./bt-monitor');
+const events = require('./bt-events');
+const checkpoints = require('./bt-checkpoint');
+
 /**
  * Node-RED 行为树重复节点模块
  * 实现行为树中的重复（Repeat）节点功能
@@ -35,6 +40,7 @@ module.exports = function(RED) {
          * - fixed: 固定次数执行
          * - untilSuccess: 执行直到成功为止
          * - exitOnFailure: 遇到失败立即退出
+         * - retry: 失败后按退避策略延时重试，成功或达到最大次数后停止
          * @type {string}
          * @default "fixed"
          */
@@ -55,80 +61,167 @@ module.exports = function(RED) {
          * @default "child_result"
          */
         node.child_key = config.childKey || "child_result";
-        
+
         /**
-         * 检查子节点状态的时间间隔（毫秒）
+         * 重试模式：首次重试前的基础延时（毫秒）
          * @type {number}
-         * @default 300
+         * @default 1000
          */
-        node.check_interval = 300;
+        node.retry_delay = config.retryDelay !== undefined && config.retryDelay !== "" ? Number(config.retryDelay) : 1000;
 
-        // ==================== 状态变量 ====================
         /**
-         * 定时器句柄，用于定期检查子节点状态
-         * @type {NodeJS.Timeout|null}
+         * 重试模式：退避策略
+         * - fixed: 每次延时相同
+         * - linear: 延时随失败次数线性增长（基础延时 × 次数）
+         * - exponential: 延时随失败次数指数增长（基础延时 × 2^(次数-1)）
+         * @type {string}
+         * @default "fixed"
          */
-        node.timer = null;
-        
+        node.backoff = config.backoff || "fixed";
+
         /**
-         * 节点是否正在运行
-         * @type {boolean}
+         * 重试模式：随机抖动比例（0-100，延时在 ±抖动比例 范围内随机浮动）
+         * @type {number}
+         * @default 0
          */
-        node.is_running = false;
-        
+        node.jitter = Math.min(100, Math.max(0, Number(config.jitter) || 0));
+
         /**
-         * 节点是否已完成执行
-         * @type {boolean}
+         * 重试模式：延时上限（毫秒），0 表示不限制
+         * @type {number}
+         * @default 0
          */
-        node.is_completed = false;
+        node.max_delay = Number(config.maxDelay) || 0;
         
         /**
-         * 当前执行次数计数器
+         * 黑板访问器，状态键通过引用的黑板配置节点读写（未配置时使用 global 上下文）
+         * @type {Object}
+         */
+        node.blackboard = blackboard.create_accessor(node, RED.nodes.getNode(config.blackboard));
+
+        /**
+         * 轮询全局状态的时间间隔（毫秒），0 表示不轮询
+         * 子节点结果通过事件送达，只有通过全局状态回报结果的子节点需要轮询；旧版配置没有 pollInterval，保持 300ms 轮询
          * @type {number}
+         * @default 0
          */
-        node.current_count = 0;
-        
+        node.check_interval = config.pollInterval !== undefined ? Number(config.pollInterval) || 0 : 300;
+
         /**
-         * 成功执行的次数记录数组
+         * 断点：逗号分隔的执行次数（从 1 开始），* 表示每一次；执行子节点的第 N 次前暂停，等待单步或继续命令
          * @type {number[]}
          */
-        node.success_records = [];
-        
+        const breakpoints = String(config.breakpoints || "").split(",").map(s => s.trim()).filter(s => s);
+        node.break_all = breakpoints.indexOf("*") !== -1;
+        node.breakpoints = breakpoints.map(Number).filter(n => Number.isInteger(n) && n >= 1);
+
+        // ==================== 状态变量 ====================
         /**
-         * 失败执行的次数记录数组
-         * @type {number[]}
+         * 执行ID -> 执行状态
+         * 每次输入对应一个独立的执行，多个执行可以同时运行、互不影响
+         * @type {Map<string, Object>}
+         */
+        node.executions = new Map();
+
+        /**
+         * 最近启动的执行ID
+         * 全局状态的顶层字段对应此执行，兼容通过全局状态回报结果的子节点
+         * @type {string|null}
+         */
+        node.latest_exec_id = null;
+
+        /**
+         * 全局状态的顶层字段（最近启动的执行的状态），保存在内存中，写入时不需要先读取全局状态
+         * @type {Object|null}
          */
-        node.failure_records = [];
+        node.state = null;
+
+        /**
+         * 断点续跑（config.checkpoint）：none 不保存进度；resume 重新部署或重启后继续执行；interrupted 重新部署或重启后输出 interrupted 结果
+         * @type {Object}
+         */
+        node.checkpoints = checkpoints.create(RED, node, config, {
+            serialize: exec => ({
+                repeat_count: exec.repeat_count,
+                current_count: exec.current_count,
+                success_records: exec.success_records.slice(),
+                failure_records: exec.failure_records.slice(),
+                attempts: exec.attempts.slice(),
+                waiting: exec.waiting
+            }),
+            resume: resume_execution,
+            interrupted: report_interrupted
+        });
 
         // 初始化节点状态显示
         node.status({ fill: "grey", shape: "dot", text: "就绪" });
 
+        // 子节点结果通过事件直接送达，不需要连线回本节点
+        events.subscribe(node, receive_child_result);
+
         /**
          * 处理输入消息的事件监听器
          * @param {Object} msg - 输入消息对象
          */
         node.on('input', function(msg) {
-            // 防止重复执行：如果节点正在运行，忽略新的输入
-            if (node.is_running) {
-                node.warn("重复节点正在运行中，忽略新的输入");
+            // 中止消息（msg.bt_halt）：停止对应的执行，并向正在运行的子节点传递
+            if (msg.bt_halt) {
+                find_executions(msg).forEach(exec => haltExecution(exec));
+                return;
+            }
+
+            // 子节点通过消息回报结果（msg.bt_status），不视为新的执行
+            if (is_child_result(msg)) {
+                receive_child_result(msg);
                 return;
             }
 
-            // 重置节点状态，开始新的执行周期
-            node.is_running = true;
-            node.is_completed = false;
-            node.current_count = 0;
-            node.success_records = [];
-            node.failure_records = [];
+            // 调试命令（msg.bt_debug = "step"/"continue"）：让暂停的执行继续，不视为新的执行
+            if (msg.bt_debug) {
+                find_executions(msg).forEach(exec => continueExecution(exec, msg.bt_debug));
+                return;
+            }
+
+            // 断点续跑：父节点恢复后重新发来的消息由已恢复的执行接管，不创建新的执行
+            const resumed = node.checkpoints.find_resumed_execution(msg);
+            if (resumed) {
+                resumed.resumed = false;
+                return;
+            }
+
+            // 创建新的执行周期，与正在运行的其他执行互不影响
+            const exec = {
+                id: RED.util.generateId(),          // 执行ID，随消息传递给子节点
+                msg: RED.util.cloneMessage(msg),    // 本次执行的输入消息，每次执行子节点时以此为模板
+                timer: null,                        // 定期检查子节点状态的定时器句柄
+                is_running: true,
+                is_completed: false,
+                repeat_count: node.repeat_count,    // 本次执行的重复次数
+                current_count: 0,                   // 当前执行次数计数器
+                success_records: [],                // 成功执行的次数记录数组
+                failure_records: [],                // 失败执行的次数记录数组
+                attempts: [],                       // 每次执行的耗时记录
+                attempt_started: null,              // 当前这次执行的开始时间
+                waiting: false,                     // 是否正在等待下一次重试
+                retry_timer: null,                  // 重试延时定时器
+                countdown_timer: null,              // 重试倒计时显示定时器
+                started_at: Date.now(),             // 执行开始时间
+                paused: null,                       // 断点暂停信息（{ count, paused_at }），未暂停时为 null
+                stepping: false,                    // 单步执行：下一次执行前再次暂停
+                state: null                         // 本次执行的状态（内存中），变化时写入全局状态
+            };
+            node.executions.set(exec.id, exec);
+            node.latest_exec_id = exec.id;
+            monitor.trace(node, exec, "tick");
 
             // 优先从全局变量获取重复次数
             // 这允许在运行时动态调整重复次数
             try {
-                const globalRepeatCount = node.context().global.get(node.global_repeat_count);
+                const globalRepeatCount = node.blackboard.get(node.global_repeat_count);
                 if (globalRepeatCount !== undefined && globalRepeatCount !== null) {
                     const parsedCount = parseInt(globalRepeatCount, 10);
                     if (!isNaN(parsedCount) && parsedCount >= 0) {
-                        node.repeat_count = parsedCount;
+                        exec.repeat_count = parsedCount;
                     }
                 }
             } catch (err) {
@@ -136,97 +229,218 @@ module.exports = function(RED) {
             }
 
             // 特殊处理：如果重复次数为0，直接标记为成功并结束
-            if (0 == node.repeat_count)
+            if (0 == exec.repeat_count)
             {
-                node.success_records.length = 1;
-                finishExecution("success");
+                exec.success_records.length = 1;
+                finishExecution(exec, "success");
                 return;
             }
             
-            // 初始化全局状态对象
-            node.context().global.set(node.global_key, {
+            // 初始状态，在第一次执行子节点（或断点暂停）时写入全局状态
+            exec.state = {
                 type: "repeat",
                 status: "running",
                 current_count: 0,
-                total_count: node.repeat_count
-            });
+                total_count: exec.repeat_count
+            };
 
             // 设置子节点初始状态为运行中
-            node.context().global.set(node.child_key, "running");
+            node.blackboard.set(node.child_key, "running");
 
-            // 清理可能存在的旧定时器
-            if (node.timer) {
-                clearInterval(node.timer);
-                node.timer = null;
-            }
+            // 执行第一次子节点调用
+            executeChild(exec);
 
             // 更新节点状态显示
-            node.status({ 
-                fill: "yellow", 
-                shape: "dot", 
-                text: `执行第 ${node.current_count + 1}/${node.repeat_count} 次` 
-            });
-
-            // 克隆消息并执行第一次子节点调用
-            const cur_msg = RED.util.cloneMessage(msg);
-            executeChild(cur_msg);
+            if (!exec.paused) {
+                update_status("yellow", `执行第 ${exec.current_count}/${exec.repeat_count} 次`);
+            }
             
-            // 启动定时器，定期检查子节点执行状态
-            node.timer = setInterval(() => check_child_state(cur_msg), node.check_interval);
+            // 轮询模式：启动定时器，定期检查子节点执行状态
+            if (node.check_interval > 0) {
+                exec.timer = setInterval(() => check_child_state(exec), node.check_interval);
+            }
         });
 
         /**
          * 执行子节点
-         * 向子节点发送消息并更新全局状态
-         * @param {Object} msg - 要发送给子节点的消息对象
+         * 下一次是断点时暂停，否则向子节点发送消息并更新全局状态
+         * @param {Object} exec - 执行状态对象
          */
-        function executeChild(msg) {
+        function executeChild(exec) {
             // 检查节点是否应该继续执行
-            if (!node.is_running || node.is_completed) return;
-            
+            if (!exec.is_running || exec.is_completed) return;
+
+            // 断点：执行子节点前暂停
+            const next_count = exec.current_count + 1;
+            if (exec.stepping || node.break_all || node.breakpoints.indexOf(next_count) !== -1) {
+                pauseExecution(exec);
+                return;
+            }
+            dispatchChild(exec);
+        }
+
+        /**
+         * 断点：在下一次执行子节点前暂停，等待单步或继续命令
+         * @param {Object} exec - 执行状态对象
+         */
+        function pauseExecution(exec) {
+            const next_count = exec.current_count + 1;
+            exec.paused = { count: next_count, paused_at: Date.now() };
+            exec.stepping = false;
+            monitor.trace(node, exec, "paused", { count: next_count });
+            update_status("blue", `暂停在第 ${next_count}/${exec.repeat_count} 次`);
+            save_state(exec, {
+                ...exec.state,
+                current_count: exec.current_count,
+                status: "paused"
+            });
+        }
+
+        /**
+         * 调试命令：让暂停的执行继续
+         * step 执行这一次后在下一次前再次暂停；continue 执行到下一个断点
+         * @param {Object} exec - 执行状态对象
+         * @param {string} command - "step" 或 "continue"
+         */
+        function continueExecution(exec, command) {
+            if (!exec.is_running || exec.is_completed || !exec.paused) return;
+            exec.paused = null;
+            exec.stepping = command === "step";
+            monitor.trace(node, exec, "continued", { count: exec.current_count + 1, command: command });
+            dispatchChild(exec);
+            update_status("yellow", `执行第 ${exec.current_count}/${exec.repeat_count} 次`);
+        }
+
+        /**
+         * 向子节点发送消息并更新全局状态
+         * @param {Object} exec - 执行状态对象
+         */
+        function dispatchChild(exec) {
             // 增加执行计数
-            node.current_count++;
-            
-            // 克隆消息并附加当前执行次数信息
-            const child_msg = RED.util.cloneMessage(msg);
-            child_msg.__repeat_count = node.current_count;
+            exec.current_count++;
+            exec.attempt_started = Date.now();
             
             // 发送消息到子节点
-            node.send([child_msg]);
+            node.send([create_child_msg(exec)]);
+            monitor.trace(node, exec, "dispatch", { count: exec.current_count });
             
             // 更新全局状态，记录当前执行次数
-            node.context().global.set(node.global_key, {
-                ...node.context().global.get(node.global_key),
-                current_count: node.current_count,
+            save_state(exec, {
+                ...exec.state,
+                current_count: exec.current_count,
+                child_status: "running",
                 status: "running"
             });
             
             // 重置子节点状态为运行中
-            node.context().global.set(node.child_key, "running");
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, "running");
+            }
+        }
+
+        /**
+         * 创建发给子节点的消息
+         * 克隆输入消息并附加当前执行次数信息
+         * @param {Object} exec - 执行状态对象
+         * @returns {Object} 子节点消息
+         */
+        function create_child_msg(exec) {
+            const child_msg = RED.util.cloneMessage(exec.msg);
+            child_msg.__repeat_count = exec.current_count;
+            // 记录父节点ID和执行ID，子节点可通过 msg.bt_status 直接回报结果
+            child_msg.__bt_parent = node.id;
+            child_msg.__bt_exec_id = exec.id;
+            delete child_msg.bt_status;
+            delete child_msg.bt_halt;
+            return child_msg;
+        }
+
+        /**
+         * 查找中止消息对应的执行
+         * 消息带有 __bt_exec_id 时只匹配该执行（本节点的执行ID或父节点传入的执行ID），否则匹配全部执行
+         * @param {Object} msg - 中止消息
+         * @returns {Object[]} 匹配的执行状态对象
+         */
+        function find_executions(msg) {
+            const executions = Array.from(node.executions.values());
+            if (msg.__bt_exec_id === undefined) return executions;
+            return executions.filter(exec => exec.id === msg.__bt_exec_id || exec.msg.__bt_exec_id === msg.__bt_exec_id);
+        }
+
+        /**
+         * 判断消息是否为子节点回报给本节点的结果
+         * @param {Object} msg - 输入消息对象
+         * @returns {boolean} 带有 bt_status 且父节点ID为本节点时返回 true
+         */
+        function is_child_result(msg) {
+            return msg.bt_status !== undefined && msg.__bt_parent === node.id;
+        }
+
+        /**
+         * 处理子节点回报的结果（通过事件或连线送达），不视为新的执行
+         * 只处理当前这次执行的结果，重复送达的结果会被忽略
+         * @param {Object} msg - 带有 bt_status 的结果消息
+         */
+        function receive_child_result(msg) {
+            const exec = node.executions.get(msg.__bt_exec_id);
+            if (exec && msg.__repeat_count === exec.current_count) {
+                handle_child_result(exec, msg.bt_status);
+            }
         }
 
         /**
          * 检查子节点执行状态
-         * 定期检查子节点是否完成，并根据终止条件决定是否继续执行
-         * @param {Object} msg - 消息对象
+         * 定期轮询全局状态，获取子节点写入的执行结果
+         * 全局状态顶层字段只对应最近启动的执行，其他执行需通过 msg.bt_status 回报结果
+         * @param {Object} exec - 执行状态对象
          */
-        function check_child_state(msg) {
-            // 如果节点已停止或已完成，不再检查
-            if (!node.is_running || node.is_completed) return;
+        function check_child_state(exec) {
+            // 如果执行已停止或已完成，不再检查
+            if (!exec.is_running || exec.is_completed) return;
 
             // 从全局状态获取子节点的执行状态
-            const global_state = node.context().global.get(node.global_key) || {};
-            const child_status = global_state.child_status;
+            if (exec.id !== node.latest_exec_id) return;
+            const global_state = node.blackboard.get(node.global_key) || {};
+            handle_child_result(exec, global_state.child_status);
+        }
+
+        /**
+         * 处理子节点执行结果
+         * 结果来自全局状态轮询或 msg.bt_status，根据终止条件决定是否继续执行
+         * @param {Object} exec - 执行状态对象
+         * @param {string} child_status - 子节点执行结果（"success" 或 "failure"）
+         */
+        function handle_child_result(exec, child_status) {
+            // 如果执行已停止或已完成，不再处理
+            if (!exec.is_running || exec.is_completed) return;
+
+            // 等待重试或断点暂停期间，上一次的结果已经处理过
+            if (exec.waiting || exec.paused) return;
 
             // 如果子节点还在运行中，继续等待
             if (!child_status || child_status === "running") return;
 
             // 记录本次执行结果
             if (child_status === "success") {
-                node.success_records.push(node.current_count);
+                exec.success_records.push(exec.current_count);
             } else { // 'failure'
-                node.failure_records.push(node.current_count);
+                exec.failure_records.push(exec.current_count);
             }
+
+            // 记录本次执行耗时
+            const finished_at = Date.now();
+            exec.attempts.push({
+                count: exec.current_count,
+                status: child_status,
+                started_at: exec.attempt_started,
+                finished_at: finished_at,
+                duration: finished_at - exec.attempt_started
+            });
+            monitor.trace(node, exec, "child_result", {
+                count: exec.current_count,
+                status: child_status,
+                duration: finished_at - exec.attempt_started
+            });
             
             // ==================== 核心逻辑：根据终止条件判断是否继续执行 ====================
             let should_continue = false;
@@ -240,75 +454,352 @@ module.exports = function(RED) {
                 case 'exitOnFailure':
                     // 模式2: 遇到失败立即退出
                     // 只有在成功且未达到最大次数时才继续
-                    should_continue = (child_status === "success") && (node.current_count < node.repeat_count);
+                    should_continue = (child_status === "success") && (exec.current_count < exec.repeat_count);
                     break;
                     
+                case 'retry':
+                    // 模式4: 失败后延时重试
+                    // 子节点失败且未达到最大次数时，按退避策略等待后重试
+                    should_continue = (child_status !== "success") && (exec.current_count < exec.repeat_count);
+                    break;
+
                 case 'fixed':
                 default:
                     // 模式3: 固定次数执行（默认模式）
                     // 只要未达到指定次数就继续执行，无论成功失败
-                    should_continue = (node.current_count < node.repeat_count);
+                    should_continue = (exec.current_count < exec.repeat_count);
                     break;
             }
 
             // 根据判断结果决定继续执行或结束
-            if (should_continue) {
+            if (should_continue && node.terminationCondition === 'retry') {
+                // 延时后重试
+                scheduleRetry(exec);
+            } else if (should_continue) {
                 // 继续执行下一次
-                executeChild(msg);
-                node.status({ 
-                    fill: "yellow", 
-                    shape: "dot", 
-                    text: `执行第 ${node.current_count}/${node.repeat_count} 次` 
-                });
+                executeChild(exec);
+                if (!exec.paused) {
+                    update_status("yellow", `执行第 ${exec.current_count}/${exec.repeat_count} 次`);
+                }
             } else {
                 // 达到终止条件，结束执行
-                finishExecution(child_status);
+                finishExecution(exec, child_status);
+            }
+        }
+
+        /**
+         * 计算下一次重试前的延时
+         * @param {number} failures - 已失败的次数
+         * @returns {number} 延时（毫秒）
+         */
+        function retry_delay(failures) {
+            let delay;
+            switch (node.backoff) {
+                case 'linear':
+                    delay = node.retry_delay * failures;
+                    break;
+                case 'exponential':
+                    delay = node.retry_delay * Math.pow(2, failures - 1);
+                    break;
+                case 'fixed':
+                default:
+                    delay = node.retry_delay;
+                    break;
+            }
+
+            if (node.max_delay > 0) {
+                delay = Math.min(delay, node.max_delay);
+            }
+
+            // 随机抖动：在 ±jitter% 范围内浮动，避免多个重试同时发生
+            if (node.jitter > 0) {
+                const spread = delay * node.jitter / 100;
+                delay = delay + (Math.random() * 2 - 1) * spread;
             }
+            return Math.max(0, Math.round(delay));
+        }
+
+        /**
+         * 等待退避延时后重试子节点
+         * 等待期间节点状态显示当前次数和距下次重试的剩余时间
+         * @param {Object} exec - 执行状态对象
+         */
+        function scheduleRetry(exec) {
+            const delay = retry_delay(exec.failure_records.length);
+            const retry_at = Date.now() + delay;
+            exec.waiting = true;
+            exec.attempts[exec.attempts.length - 1].delay = delay;
+            monitor.trace(node, exec, "retry", { count: exec.current_count, delay: delay });
+
+            const show_countdown = () => {
+                const remaining = Math.max(0, retry_at - Date.now());
+                update_status("orange", `第 ${exec.current_count}/${exec.repeat_count} 次失败，${Math.ceil(remaining / 1000)}秒后重试`, "ring");
+            };
+            show_countdown();
+            exec.countdown_timer = setInterval(show_countdown, 1000);
+
+            save_state(exec, {
+                ...exec.state,
+                status: "running",
+                next_retry_at: retry_at,
+                attempts: exec.attempts
+            });
+
+            exec.retry_timer = setTimeout(() => {
+                clearInterval(exec.countdown_timer);
+                exec.countdown_timer = null;
+                exec.retry_timer = null;
+                exec.waiting = false;
+                executeChild(exec);
+                if (!exec.paused) {
+                    update_status("yellow", `执行第 ${exec.current_count}/${exec.repeat_count} 次（重试）`);
+                }
+            }, delay);
+        }
+
+        /**
+         * 清理重试等待的定时器
+         * @param {Object} exec - 执行状态对象
+         */
+        function clear_retry(exec) {
+            clearTimeout(exec.retry_timer);
+            clearInterval(exec.countdown_timer);
+            exec.retry_timer = null;
+            exec.countdown_timer = null;
         }
 
         /**
          * 完成执行并设置最终状态
          * 清理定时器，更新全局状态，并显示最终结果
+         * @param {Object} exec - 执行状态对象
          * @param {string} last_status - 最后一次执行的状态（"success" 或 "failure"）
          */
-        function finishExecution(last_status) {
-            // 标记节点已完成并停止运行
-            node.is_completed = true;
-            node.is_running = false;
+        function finishExecution(exec, last_status) {
+            // 标记执行已完成并停止运行
+            exec.is_completed = true;
+            exec.is_running = false;
+            exec.paused = null;
+            node.executions.delete(exec.id);
             
             // 清理定时器
-            clearInterval(node.timer);
-            node.timer = null;
+            clearInterval(exec.timer);
+            exec.timer = null;
+            clear_retry(exec);
 
             // 根据终止条件和执行记录确定最终状态
             const final_status = node.terminationCondition === 'exitOnFailure'
                 ? last_status // "失败即退出"模式：最终状态取决于最后一次执行结果
-                : (node.success_records.length > 0 ? "success" : "failure"); // 其他模式：只要有成功就算成功
+                : (exec.success_records.length > 0 ? "success" : "failure"); // 其他模式：只要有成功就算成功
 
             // 更新全局状态，记录完整的执行结果
-            node.context().global.set(node.global_key, {
+            const result = {
                 type: "repeat",
                 status: final_status,
-                total_count: node.repeat_count,
-                success_count: node.success_records.length,
-                failure_count: node.failure_records.length,
-                success_records: node.success_records,
-                failure_records: node.failure_records
-            });
+                total_count: exec.repeat_count,
+                success_count: exec.success_records.length,
+                failure_count: exec.failure_records.length,
+                success_records: exec.success_records,
+                failure_records: exec.failure_records,
+                attempts: exec.attempts
+            };
+            save_state(exec, result);
+            monitor.trace(node, exec, "finished", { status: final_status, duration: Date.now() - exec.started_at });
             
             // 设置子节点状态键为最终状态
-            node.context().global.set(node.child_key, final_status);
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, final_status);
+            }
 
             // 构建状态显示文本
-            const status_text = `${final_status}（共${node.repeat_count}次）` +
-                               ` 成功: ${node.success_records.length}` +
-                               ` 失败: ${node.failure_records.length}`;
+            const status_text = `${final_status}（共${exec.repeat_count}次）` +
+                               ` 成功: ${exec.success_records.length}` +
+                               ` 失败: ${exec.failure_records.length}`;
             
             // 根据最终状态选择颜色（成功=绿色，失败=红色）
             const status_color = final_status === "success" ? "green" : "red";
             
             // 更新节点状态显示
-            node.status({ fill: status_color, shape: "dot", text: status_text });
+            update_status(status_color, status_text);
+
+            // 从完成端口发送结果消息
+            send_result(exec, result);
+        }
+
+        /**
+         * 从完成端口（第二个输出端口）发送执行结果
+         * 结果消息基于本次执行的输入消息，保留父节点的 __bt_parent 等字段，可直接连回父节点输入端口
+         * @param {Object} exec - 执行状态对象
+         * @param {Object} result - 执行结果
+         */
+        function send_result(exec, result) {
+            const finished_at = Date.now();
+            const done_msg = RED.util.cloneMessage(exec.msg);
+            done_msg.bt_status = result.status;
+            done_msg.bt_result = {
+                ...result,
+                exec_id: exec.id,
+                started_at: exec.started_at,
+                finished_at: finished_at,
+                duration: finished_at - exec.started_at
+            };
+            node.send([null, done_msg]);
+            events.report(RED, done_msg);
+        }
+
+        /**
+         * 中止执行
+         * 清理定时器，把中止消息发给正在运行的子节点，并将状态标记为 halted
+         * @param {Object} exec - 执行状态对象
+         */
+        function haltExecution(exec) {
+            const paused = exec.paused;
+            exec.is_completed = true;
+            exec.is_running = false;
+            exec.paused = null;
+            node.executions.delete(exec.id);
+            clearInterval(exec.timer);
+            exec.timer = null;
+            clear_retry(exec);
+
+            // 中止正在运行的子节点（等待重试或断点暂停期间没有运行中的子节点）
+            if (exec.current_count > 0 && !exec.waiting && !paused) {
+                const halt_msg = create_child_msg(exec);
+                halt_msg.bt_halt = true;
+                node.send([halt_msg]);
+            }
+
+            // 更新全局状态
+            save_state(exec, {
+                ...exec.state,
+                status: "halted",
+                child_status: "halted"
+            });
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, "halted");
+            }
+
+            monitor.trace(node, exec, "halted", { count: exec.current_count, duration: Date.now() - exec.started_at });
+
+            update_status("grey", `已中止（第 ${exec.current_count}/${exec.repeat_count} 次）`);
+        }
+
+        /**
+         * 写入全局状态，每次状态变化只写入一次
+         * 执行状态保存在内存中（exec.state 和 node.executions），写入前不读取全局状态：
+         * 顶层字段只反映最近启动的执行（兼容通过全局状态回报结果的子节点），
+         * executions 中按执行ID记录所有运行中执行的概要，并发执行之间互不覆盖
+         * @param {Object} exec - 执行状态对象
+         * @param {Object} state - 该执行的完整状态对象
+         */
+        function save_state(exec, state) {
+            exec.state = state;
+            // 断点暂停信息（paused）始终反映执行的当前状态
+            if (exec.id === node.latest_exec_id) {
+                node.state = { ...state, paused: exec.paused, exec_id: exec.id };
+                monitor.publish(RED, node, exec, state);
+            }
+
+            const executions = {};
+            node.executions.forEach(running => {
+                executions[running.id] = {
+                    status: running.paused ? "paused" : "running",
+                    current_count: running.current_count,
+                    total_count: running.repeat_count,
+                    paused: running.paused
+                };
+            });
+            // 轮询模式：通过全局状态回报结果的子节点可能已写入最近执行的 child_status，写入其他执行的变化时保留
+            const top = node.check_interval > 0 && exec.id !== node.latest_exec_id
+                ? node.blackboard.get(node.global_key) || node.state
+                : node.state;
+            node.blackboard.set(node.global_key, { ...top, executions: executions });
+            node.checkpoints.save(exec);
+        }
+
+        /**
+         * 断点续跑：按保存的进度恢复执行
+         * 重新执行中断的那一次；中断时正在等待重试则直接开始下一次。执行ID保持不变，父节点和子节点据此继续对应
+         * @param {Object} checkpoint - 保存的执行进度
+         */
+        function resume_execution(checkpoint) {
+            const exec = {
+                id: checkpoint.id,
+                msg: checkpoint.msg,
+                timer: null,
+                is_running: true,
+                is_completed: false,
+                resumed: true,                      // 从保存的进度恢复，父节点重新发来的消息由本执行接管
+                repeat_count: checkpoint.repeat_count,
+                current_count: checkpoint.waiting ? checkpoint.current_count : checkpoint.current_count - 1,
+                success_records: checkpoint.success_records,
+                failure_records: checkpoint.failure_records,
+                attempts: checkpoint.attempts,
+                attempt_started: null,
+                waiting: false,
+                retry_timer: null,
+                countdown_timer: null,
+                started_at: checkpoint.started_at,
+                paused: null,
+                stepping: false,
+                state: null
+            };
+            exec.state = {
+                type: "repeat",
+                status: "running",
+                current_count: exec.current_count,
+                total_count: exec.repeat_count,
+                attempts: exec.attempts
+            };
+            node.executions.set(exec.id, exec);
+            node.latest_exec_id = exec.id;
+            monitor.trace(node, exec, "tick", { resumed: true, count: exec.current_count + 1 });
+
+            node.blackboard.set(node.child_key, "running");
+
+            executeChild(exec);
+            if (!exec.paused) {
+                update_status("yellow", `执行第 ${exec.current_count}/${exec.repeat_count} 次（继续）`);
+            }
+
+            if (node.check_interval > 0) {
+                exec.timer = setInterval(() => check_child_state(exec), node.check_interval);
+            }
+        }
+
+        /**
+         * 断点续跑：从完成端口输出 interrupted 结果，不再继续执行
+         * @param {Object} checkpoint - 保存的执行进度
+         */
+        function report_interrupted(checkpoint) {
+            const done_msg = RED.util.cloneMessage(checkpoint.msg);
+            done_msg.bt_status = "interrupted";
+            done_msg.bt_result = {
+                type: "repeat",
+                status: "interrupted",
+                total_count: checkpoint.repeat_count,
+                current_count: checkpoint.current_count,
+                success_count: checkpoint.success_records.length,
+                failure_count: checkpoint.failure_records.length,
+                success_records: checkpoint.success_records,
+                failure_records: checkpoint.failure_records,
+                attempts: checkpoint.attempts,
+                exec_id: checkpoint.id,
+                started_at: checkpoint.started_at,
+                interrupted_at: checkpoint.saved_at
+            };
+            node.send([null, done_msg]);
+            node.status({ fill: "grey", shape: "ring", text: `已中断（第 ${checkpoint.current_count}/${checkpoint.repeat_count} 次）` });
+        }
+
+        /**
+         * 更新节点状态显示，存在并发执行时附带执行数量
+         * @param {string} fill - 状态颜色
+         * @param {string} text - 状态文本
+         * @param {string} [shape="dot"] - 状态形状
+         */
+        function update_status(fill, text, shape) {
+            const running = node.executions.size;
+            node.status({ fill: fill, shape: shape || "dot", text: running > 1 ? `${text}（${running}个执行中）` : text });
         }
 
         /**
@@ -317,16 +808,18 @@ module.exports = function(RED) {
          * 负责清理资源和重置状态
          */
         node.on('close', function() {
-            // 停止节点运行
-            node.is_running = false;
-            node.is_completed = true;
-            
-            // 清理定时器资源
-            if (node.timer) {
-                clearInterval(node.timer);
-                node.timer = null;
-            }
-            
+            // 停止所有执行并清理定时器资源
+            node.executions.forEach(exec => {
+                exec.is_running = false;
+                exec.is_completed = true;
+                if (exec.timer) {
+                    clearInterval(exec.timer);
+                    exec.timer = null;
+                }
+                clear_retry(exec);
+            });
+            node.executions.clear();
+
             // 清除状态显示
             node.status({});
         });
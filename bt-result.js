@@ -0,0 +1,90 @@
+const events = require('./bt-events');
+
+/**
+ * Node-RED 行为树结果回报节点模块
+ * 子节点执行完成后，通过 msg.bt_status 把结果回报给父节点
+ * @param {Object} RED - Node-RED 运行时对象
+ */
+module.exports = function(RED) {
+    "use strict";
+
+    /**
+     * 行为树结果回报节点构造函数
+     * @param {Object} config - 节点配置对象
+     */
+    function BTResultNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        /**
+         * 回报的结果类型
+         * - success: 固定回报成功
+         * - failure: 固定回报失败
+         * - msg: 从消息属性读取结果
+         * @type {string}
+         * @default "success"
+         */
+        node.result_type = config.resultType || "success";
+
+        /**
+         * 结果类型为 msg 时读取的消息属性
+         * @type {string}
+         * @default "payload"
+         */
+        node.property = config.property || "payload";
+
+        /**
+         * 处理输入消息：写入 msg.bt_status 后输出
+         * 结果通过事件直接送达父节点（sequence/parallel/repeat 等），输出也可以连回父节点的输入端口
+         * @param {Object} msg - 子节点执行完成后的消息
+         */
+        node.on('input', function(msg) {
+            // 中止消息不需要回报结果
+            if (msg.bt_halt) return;
+
+            const status = resolve_status(msg);
+
+            if (!msg.__bt_parent) {
+                node.warn("消息中缺少 __bt_parent，无法确定要回报的父节点");
+            }
+
+            msg.bt_status = status;
+            node.send(msg);
+            events.report(RED, msg);
+
+            const status_color = status === "success" ? "green" : "red";
+            node.status({ fill: status_color, shape: "dot", text: status });
+        });
+
+        /**
+         * 根据配置计算要回报的结果
+         * @param {Object} msg - 输入消息对象
+         * @returns {string} "success" 或 "failure"
+         */
+        function resolve_status(msg) {
+            if (node.result_type !== "msg") {
+                return node.result_type === "failure" ? "failure" : "success";
+            }
+
+            let value;
+            try {
+                value = RED.util.getMessageProperty(msg, node.property);
+            } catch (err) {
+                value = undefined;
+            }
+
+            // 字符串结果直接使用，其他值按真假判断
+            if (value === "success" || value === "failure") return value;
+            return value ? "success" : "failure";
+        }
+
+        /**
+         * 节点关闭时清除状态显示
+         */
+        node.on('close', function() {
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType("bt-result", BTResultNode);
+};
@@ -0,0 +1,507 @@
+const blackboard = require('./bt-blackboard');
+const monitor = require('./bt-monitor');
+const events = require('./bt-events');
+
+/**
+ * Node-RED 行为树根节点模块
+ * 按输入、部署后一次、固定间隔或 cron 计划触发子树，并按并发策略处理运行中收到的触发
+ * @param {Object} RED - Node-RED 运行时对象
+ */
+module.exports = function(RED) {
+    "use strict";
+
+    /**
+     * 行为树根节点构造函数
+     * @param {Object} config - 节点配置对象
+     */
+    function BTRootNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // ==================== 配置参数 ====================
+        /**
+         * 触发方式（输入消息总是会触发运行）
+         * - manual: 只由输入消息触发
+         * - once: 部署后运行一次
+         * - interval: 按固定间隔运行
+         * - cron: 按 cron 计划运行
+         * @type {string}
+         * @default "manual"
+         */
+        node.schedule = config.schedule || "manual";
+
+        /**
+         * 固定间隔（毫秒），schedule 为 interval 时使用
+         * @type {number}
+         * @default 1000
+         */
+        node.interval = Number(config.interval) > 0 ? Number(config.interval) : 1000;
+
+        /**
+         * cron 表达式，schedule 为 cron 时使用
+         * @type {string}
+         */
+        node.cron = config.cron || "";
+
+        /**
+         * 运行中收到新触发时的并发策略
+         * - queue: 排队，当前运行结束后依次运行
+         * - drop: 丢弃新触发
+         * - restart: 中止当前运行，立即开始新的运行
+         * @type {string}
+         * @default "drop"
+         */
+        node.concurrency = config.concurrency || "drop";
+
+        /**
+         * 排队的最大触发数量，超出时丢弃最早的触发
+         * @type {number}
+         * @default 10
+         */
+        node.max_queue = Number(config.maxQueue) > 0 ? Number(config.maxQueue) : 10;
+
+        /**
+         * 全局状态存储键名
+         * 子节点通过此键的 child_status 字段回报结果
+         * @type {string}
+         * @default "root_result"
+         */
+        node.global_key = config.globalKey || "root_result";
+
+        /**
+         * 黑板访问器，状态键通过引用的黑板配置节点读写（未配置时使用 global 上下文）
+         * @type {Object}
+         */
+        node.blackboard = blackboard.create_accessor(node, RED.nodes.getNode(config.blackboard));
+
+        /**
+         * 轮询全局状态的时间间隔（毫秒），0 表示不轮询
+         * 子节点结果通过事件送达，只有通过全局状态回报结果的子节点需要轮询；旧版配置没有 pollInterval，保持 300ms 轮询
+         * @type {number}
+         * @default 0
+         */
+        node.check_interval = config.pollInterval !== undefined ? Number(config.pollInterval) || 0 : 300;
+
+        // ==================== 状态变量 ====================
+        /**
+         * 当前运行，未运行时为 null
+         * @type {Object|null}
+         */
+        node.current_run = null;
+
+        /**
+         * 等待运行的触发队列，元素为 { msg, trigger }
+         * @type {Object[]}
+         */
+        node.queue = [];
+
+        /**
+         * 已开始的运行次数（运行编号）
+         * @type {number}
+         */
+        node.run_counter = 0;
+
+        /**
+         * 计划触发的定时器句柄
+         * @type {Object|null}
+         */
+        node.schedule_timer = null;
+
+        // 初始化节点状态显示
+        node.status({ fill: "grey", shape: "dot", text: "就绪" });
+
+        // 子节点结果通过事件直接送达，不需要连线回本节点
+        events.subscribe(node, receive_child_result);
+
+        // 启动计划触发
+        start_schedule();
+
+        /**
+         * 处理输入消息的事件监听器
+         * @param {Object} msg - 输入消息对象
+         */
+        node.on('input', function(msg) {
+            // 中止消息（msg.bt_halt）：中止当前运行并清空队列
+            if (msg.bt_halt) {
+                node.queue = [];
+                if (node.current_run) {
+                    haltRun(node.current_run);
+                }
+                return;
+            }
+
+            // 子节点通过消息回报结果（msg.bt_status），不视为新的触发
+            if (is_child_result(msg)) {
+                receive_child_result(msg);
+                return;
+            }
+
+            trigger(msg, "input");
+        });
+
+        /**
+         * 按配置启动计划触发
+         */
+        function start_schedule() {
+            switch (node.schedule) {
+                case "once":
+                    node.schedule_timer = setTimeout(() => trigger(scheduled_msg(), "once"), 100);
+                    break;
+
+                case "interval":
+                    node.schedule_timer = setInterval(() => trigger(scheduled_msg(), "interval"), node.interval);
+                    break;
+
+                case "cron": {
+                    let cron;
+                    try {
+                        cron = parse_cron(node.cron);
+                    } catch (err) {
+                        node.error(err.message);
+                        node.status({ fill: "red", shape: "ring", text: "cron 表达式错误" });
+                        return;
+                    }
+                    schedule_cron(cron, Math.floor(Date.now() / 1000) * 1000);
+                    break;
+                }
+            }
+        }
+
+        /**
+         * 在下一个整秒检查 cron 计划，匹配时触发运行
+         * 检查的是定时器设定的目标秒而不是唤醒时间：提前唤醒时同一秒不会触发两次，
+         * 事件循环延迟超过一秒时补查错过的秒
+         * @param {Set<number>[]} cron - 解析后的 cron 计划
+         * @param {number} checked - 已检查过的最后一个整秒（毫秒时间戳）
+         */
+        function schedule_cron(cron, checked) {
+            const target = checked + 1000;
+            node.schedule_timer = setTimeout(() => {
+                const last = Math.max(target, Math.floor(Date.now() / 1000) * 1000);
+                if (cron_due(cron, checked, last) !== null) {
+                    trigger(scheduled_msg(), "cron");
+                }
+                schedule_cron(cron, last);
+            }, Math.max(0, target - Date.now()));
+        }
+
+        /**
+         * 创建计划触发的消息
+         * @returns {Object}
+         */
+        function scheduled_msg() {
+            return { payload: Date.now(), topic: node.name || "bt-root" };
+        }
+
+        /**
+         * 处理一次触发：空闲时立即运行，运行中按并发策略处理
+         * @param {Object} msg - 触发消息
+         * @param {string} source - 触发来源（input/once/interval/cron）
+         */
+        function trigger(msg, source) {
+            if (!node.current_run) {
+                startRun(msg, source);
+                return;
+            }
+
+            switch (node.concurrency) {
+                case "queue":
+                    node.queue.push({ msg: msg, trigger: source });
+                    if (node.queue.length > node.max_queue) {
+                        node.queue.shift();
+                    }
+                    show_running(node.current_run);
+                    break;
+
+                case "restart":
+                    haltRun(node.current_run);
+                    startRun(msg, source);
+                    break;
+
+                case "drop":
+                default:
+                    node.current_run.dropped++;
+                    show_running(node.current_run);
+                    break;
+            }
+        }
+
+        /**
+         * 开始一次运行：向子节点发送触发消息
+         * @param {Object} msg - 触发消息
+         * @param {string} source - 触发来源
+         */
+        function startRun(msg, source) {
+            node.run_counter++;
+            const run = {
+                id: RED.util.generateId(),          // 运行ID，随消息传递给子节点
+                msg: RED.util.cloneMessage(msg),    // 本次运行的触发消息
+                run: node.run_counter,              // 运行编号
+                trigger: source,                    // 触发来源
+                timer: null,                        // 定期检查子节点状态的定时器句柄
+                dropped: 0,                         // 运行期间丢弃的触发数量
+                started_at: Date.now()
+            };
+            node.current_run = run;
+            monitor.trace(node, run, "tick", { run: run.run, trigger: source });
+
+            const state = {
+                type: "root",
+                status: "running",
+                run: run.run,
+                trigger: source,
+                child_status: "running"
+            };
+            node.blackboard.set(node.global_key, { ...state, exec_id: run.id });
+            monitor.publish(RED, node, run, state);
+
+            show_running(run);
+            node.send([create_child_msg(run), null]);
+            monitor.trace(node, run, "dispatch");
+
+            // 轮询模式：子节点可能已同步回报结果
+            if (node.current_run === run && node.check_interval > 0) {
+                run.timer = setInterval(() => check_child_state(run), node.check_interval);
+            }
+        }
+
+        /**
+         * 创建发给子节点的消息
+         * @param {Object} run - 运行状态对象
+         * @returns {Object} 子节点消息
+         */
+        function create_child_msg(run) {
+            const child_msg = RED.util.cloneMessage(run.msg);
+            // 记录父节点ID和运行ID，子节点可通过 msg.bt_status 直接回报结果
+            child_msg.__bt_parent = node.id;
+            child_msg.__bt_exec_id = run.id;
+            delete child_msg.bt_status;
+            delete child_msg.bt_halt;
+            return child_msg;
+        }
+
+        /**
+         * 判断消息是否为子节点回报给本节点的结果
+         * @param {Object} msg - 输入消息对象
+         * @returns {boolean} 带有 bt_status 且父节点ID为本节点时返回 true
+         */
+        function is_child_result(msg) {
+            return msg.bt_status !== undefined && msg.__bt_parent === node.id;
+        }
+
+        /**
+         * 处理子节点回报的结果（通过事件或连线送达），不视为新的触发
+         * 只处理当前运行的结果，重复送达的结果会被忽略
+         * @param {Object} msg - 带有 bt_status 的结果消息
+         */
+        function receive_child_result(msg) {
+            const run = node.current_run;
+            if (run && msg.__bt_exec_id === run.id) {
+                handle_child_result(run, msg.bt_status);
+            }
+        }
+
+        /**
+         * 检查子节点执行状态
+         * 定期轮询全局状态，获取子节点写入的执行结果
+         * @param {Object} run - 运行状态对象
+         */
+        function check_child_state(run) {
+            if (node.current_run !== run) return;
+
+            const global_state = node.blackboard.get(node.global_key) || {};
+            if (global_state.exec_id !== run.id) return;
+            handle_child_result(run, global_state.child_status);
+        }
+
+        /**
+         * 处理子节点执行结果，结束本次运行
+         * @param {Object} run - 运行状态对象
+         * @param {string} child_status - 子节点执行结果（"success" 或 "failure"）
+         */
+        function handle_child_result(run, child_status) {
+            if (node.current_run !== run) return;
+
+            // 子节点未完成时不处理
+            if (child_status !== "success" && child_status !== "failure") return;
+
+            monitor.trace(node, run, "child_result", { status: child_status, duration: Date.now() - run.started_at });
+            finishRun(run, child_status);
+        }
+
+        /**
+         * 结束运行：输出结果，然后运行队列中的下一个触发
+         * @param {Object} run - 运行状态对象
+         * @param {string} final_status - 最终结果（success/failure/halted）
+         */
+        function finishRun(run, final_status) {
+            clearInterval(run.timer);
+            run.timer = null;
+            node.current_run = null;
+
+            const finished_at = Date.now();
+            const result = {
+                type: "root",
+                status: final_status,
+                run: run.run,
+                trigger: run.trigger,
+                started_at: run.started_at,
+                finished_at: finished_at,
+                duration: finished_at - run.started_at,
+                dropped: run.dropped,
+                queued: node.queue.length
+            };
+            node.blackboard.set(node.global_key, { ...result, child_status: final_status, exec_id: run.id });
+            monitor.publish(RED, node, run, result);
+            monitor.trace(node, run, final_status === "halted" ? "halted" : "finished", {
+                status: final_status,
+                run: run.run,
+                duration: result.duration
+            });
+
+            const status_color = final_status === "success" ? "green" : (final_status === "failure" ? "red" : "grey");
+            node.status({ fill: status_color, shape: "dot", text: `#${run.run} ${final_status}（用时 ${(result.duration / 1000).toFixed(1)}秒）` });
+
+            // 从结果端口输出本次运行的结果
+            const result_msg = RED.util.cloneMessage(run.msg);
+            result_msg.bt_status = final_status;
+            result_msg.bt_result = result;
+            node.send([null, result_msg]);
+
+            // 排队的触发依次运行
+            if (!node.current_run && node.queue.length > 0) {
+                const next = node.queue.shift();
+                startRun(next.msg, next.trigger);
+            }
+        }
+
+        /**
+         * 中止运行：向子节点发送中止消息，并输出 halted 结果
+         * @param {Object} run - 运行状态对象
+         */
+        function haltRun(run) {
+            const halt_msg = create_child_msg(run);
+            halt_msg.bt_halt = true;
+            node.send([halt_msg, null]);
+
+            finishRun(run, "halted");
+        }
+
+        /**
+         * 显示运行中状态，附带排队/丢弃数量
+         * @param {Object} run - 运行状态对象
+         */
+        function show_running(run) {
+            let text = `运行中 #${run.run}`;
+            if (node.queue.length > 0) text = text + `（排队 ${node.queue.length}）`;
+            if (run.dropped > 0) text = text + `（丢弃 ${run.dropped}）`;
+            node.status({ fill: "yellow", shape: "ring", text: text });
+        }
+
+        /**
+         * 节点关闭事件处理器
+         * 只停止本节点的计划触发、轮询和队列，不向子树发送中止消息：
+         * 只修改了根节点的部署中子树仍在运行，启用断点续跑的子节点也需要保留已保存的进度
+         */
+        node.on('close', function() {
+            clearTimeout(node.schedule_timer);
+            clearInterval(node.schedule_timer);
+            node.schedule_timer = null;
+            node.queue = [];
+            if (node.current_run) {
+                clearInterval(node.current_run.timer);
+                node.current_run = null;
+            }
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType("bt-root", BTRootNode);
+};
+
+/**
+ * cron 各字段的取值范围 [最小值, 最大值]：秒 分 时 日 月 星期
+ */
+const CRON_RANGES = [[0, 59], [0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+/**
+ * 定时器延迟时最多补查的秒数，避免休眠唤醒后逐秒检查很长的时间段
+ */
+const CRON_CATCH_UP = 60;
+
+/**
+ * 解析 cron 表达式
+ * 支持 5 段（分 时 日 月 星期）或 6 段（秒 分 时 日 月 星期），每段支持 *、列表(,)、范围(-)、步长(/)
+ * @param {string} expression - cron 表达式
+ * @returns {Set<number>[]} 秒、分、时、日、月、星期各字段允许的取值；day_or 为 true 时日和星期满足其一即可
+ * @throws {Error} 表达式格式错误
+ */
+function parse_cron(expression) {
+    const fields = String(expression || "").trim().split(/\s+/);
+    if (fields.length === 5) fields.unshift("0");
+    if (fields.length !== 6) {
+        throw new Error("cron 表达式需要 5 段或 6 段");
+    }
+
+    const sets = fields.map((field, i) => {
+        const [min, max] = CRON_RANGES[i];
+        const values = new Set();
+        field.split(",").forEach(part => {
+            const [range, step_text] = part.split("/");
+            const step = step_text === undefined ? 1 : parseInt(step_text, 10);
+            let start = min;
+            let end = max;
+            if (range !== "*") {
+                const bounds = range.split("-").map(v => parseInt(v, 10));
+                start = bounds[0];
+                end = bounds.length > 1 ? bounds[1] : (step_text === undefined ? start : max);
+            }
+            if ([start, end, step].some(isNaN) || step < 1 || start < min || end > max || start > end) {
+                throw new Error(`cron 字段无效: ${part}`);
+            }
+            for (let v = start; v <= end; v += step) {
+                // 星期字段中 7 与 0 都表示星期日
+                values.add(i === 5 && v === 7 ? 0 : v);
+            }
+        });
+        return values;
+    });
+    // 与标准 cron 一致：日和星期都有限制（不以 * 开头）时，两者满足其一即匹配
+    sets.day_or = fields[3][0] !== "*" && fields[5][0] !== "*";
+    return sets;
+}
+
+/**
+ * 判断时间是否匹配 cron 计划（按本地时间）
+ * @param {Set<number>[]} cron - parse_cron 的结果
+ * @param {Date} date - 时间
+ * @returns {boolean}
+ */
+function cron_matches(cron, date) {
+    const day_of_month = cron[3].has(date.getDate());
+    const day_of_week = cron[5].has(date.getDay());
+    return cron[0].has(date.getSeconds()) &&
+        cron[1].has(date.getMinutes()) &&
+        cron[2].has(date.getHours()) &&
+        cron[4].has(date.getMonth() + 1) &&
+        (cron.day_or ? day_of_month || day_of_week : day_of_month && day_of_week);
+}
+
+/**
+ * 查找 (from, to] 之间最早匹配 cron 计划的整秒
+ * 最多补查 to 之前 CRON_CATCH_UP 秒
+ * @param {Set<number>[]} cron - parse_cron 的结果
+ * @param {number} from - 上次已检查的整秒（毫秒时间戳，不包含）
+ * @param {number} to - 本次检查到的整秒（毫秒时间戳，包含）
+ * @returns {number|null} 匹配的整秒（毫秒时间戳），没有匹配时返回 null
+ */
+function cron_due(cron, from, to) {
+    for (let second = Math.max(from + 1000, to - CRON_CATCH_UP * 1000); second <= to; second += 1000) {
+        if (cron_matches(cron, new Date(second))) return second;
+    }
+    return null;
+}
+
+module.exports.parse_cron = parse_cron;
+module.exports.cron_matches = cron_matches;
+module.exports.cron_due = cron_due;
@@ -1,3 +1,8 @@
+const blackboard = require('./bt-blackboard');
+const monitor = require('./bt-monitor');
+const events = require('./bt-events');
+const checkpoints = require('./bt-checkpoint');
+
 module.exports = function(RED) {
     "use strict";
 
@@ -6,197 +11,712 @@ module.exports = function(RED) {
         const node = this;
 
         // 配置参数
-        node.child_count = config.outputs;                          // 子节点数量
+        // 子节点数量：最后一个输出端口为完成端口；旧版配置没有 childCount，全部端口都是子节点
+        node.child_count = config.childCount !== undefined ? Number(config.childCount) : Number(config.outputs);
         node.global_key = config.globalKey || "sequence_result";    // 全局状态键名
         node.child_key = config.childKey || "child_result";         // 全局状态键名
-        node.check_interval = 300;                                  // 状态检查间隔(ms)
+        node.blackboard = blackboard.create_accessor(node, RED.nodes.getNode(config.blackboard));  // 黑板访问器（状态键的读写）
+        // 轮询间隔(ms)：子节点结果通过事件送达，只有通过全局状态回报结果的子节点需要轮询，0 表示不轮询
+        // 旧版配置没有 pollInterval，保持原来的 300ms 轮询
+        node.check_interval = config.pollInterval !== undefined ? Number(config.pollInterval) || 0 : 300;
+        node.timeout = Number(config.timeout) || 0;                 // 整体超时时间(ms)，0 表示不限制
+        // 序列模式：standard 每次从头执行；reactive 每次输入重新评估已成功的子节点；memory 从上次失败/中止的子节点继续
+        node.sequence_mode = config.sequenceMode || "standard";
+        // 断点：逗号分隔的子节点序号（从 1 开始），* 表示所有子节点；执行到断点子节点前暂停，等待单步或继续命令
+        const breakpoints = String(config.breakpoints || "").split(",").map(s => s.trim()).filter(s => s);
+        node.break_all = breakpoints.indexOf("*") !== -1;
+        node.breakpoints = breakpoints.map(Number).filter(n => Number.isInteger(n) && n >= 1).map(n => n - 1);
 
         // 状态变量
-        node.timer = null;
-        node.is_running = false;
-        node.is_completed = false;
-        node.current_index = -1;                                    // 当前执行的子节点索引（-1表示未开始）
-        node.child_status = new Array(node.child_count).fill("waiting");  // 子节点状态数组
+        node.executions = new Map();                                // 执行ID -> 执行状态，每次输入对应一个执行
+        node.latest_exec_id = null;                                 // 最近启动的执行ID（全局状态顶层字段对应此执行）
+        node.state = null;                                          // 全局状态顶层字段（最近启动的执行的状态），写入时不需要先读取全局状态
+        node.resume_indices = new Map();                            // 记忆模式：调用方（父节点ID）-> 下次输入开始执行的子节点索引
+        // 断点续跑（config.checkpoint）：none 不保存进度；resume 重新部署或重启后继续执行；interrupted 重新部署或重启后输出 interrupted 结果
+        node.checkpoints = checkpoints.create(RED, node, config, {
+            serialize: exec => ({
+                child_count: node.child_count,
+                current_index: exec.current_index,
+                child_status: exec.child_status.slice(),
+                child_durations: exec.child_durations.slice(),
+                resumed_from: exec.resumed_from
+            }),
+            compatible: checkpoint => checkpoint.child_count === node.child_count,
+            resume: resume_execution,
+            interrupted: report_interrupted
+        });
 
         // 初始化节点状态
         node.status({ fill: "grey", shape: "dot", text: "就绪" });
 
+        // 子节点结果通过事件直接送达，不需要连线回本节点
+        events.subscribe(node, receive_child_result);
+
         /**
          * 启动序列执行逻辑
          */
         node.on('input', function(msg) {
-            // 重置状态
-            node.is_running = true;
-            node.is_completed = false;
-            node.current_index = -1;
-            node.child_status.fill("waiting");
-            
-            // 初始化全局状态
-            node.context().global.set(node.global_key, {
-                type: "sequence",
-                status: "running",
-                current_index: node.current_index,
-                total_children: node.child_count,
-                child_status:node.child_status
-            });
+            // 中止消息（msg.bt_halt）：停止对应的执行，并向正在运行的子节点传递
+            if (msg.bt_halt) {
+                find_executions(msg).forEach(exec => haltExecution(exec));
+                return;
+            }
 
-            // 初始化子状态
-            node.context().global.set(node.child_key, "running");
+            // 子节点通过消息回报结果（msg.bt_status），不视为新的执行
+            if (is_child_result(msg)) {
+                receive_child_result(msg);
+                return;
+            }
 
-            // 清理旧定时器
-            if (node.timer) {
-                clearInterval(node.timer);
-                node.timer = null;
+            // 调试命令（msg.bt_debug = "step"/"continue"）：让暂停的执行继续，不视为新的执行
+            if (msg.bt_debug) {
+                find_executions(msg).forEach(exec => continueExecution(exec, msg.bt_debug));
+                return;
             }
 
+            // 断点续跑：父节点恢复后重新发来的消息由已恢复的执行接管，不创建新的执行
+            const resumed = node.checkpoints.find_resumed_execution(msg);
+            if (resumed) {
+                resumed.resumed = false;
+                return;
+            }
+
+            // 响应式模式：同一父执行的新输入不创建新的执行，而是重新评估已成功的子节点
+            if (node.sequence_mode === "reactive") {
+                const running = find_reactive_execution(msg);
+                if (running) {
+                    recheckChildren(running, msg);
+                    return;
+                }
+            }
+
+            // 记忆模式：从同一调用方上次失败或中止的子节点继续，之前的子节点视为已成功
+            const start_index = node.sequence_mode === "memory" ? node.resume_indices.get(caller_of(msg)) || 0 : 0;
+
+            // 每次输入创建独立的执行，互不影响
+            const exec = {
+                id: RED.util.generateId(),                              // 执行ID，随消息传递给子节点
+                msg: RED.util.cloneMessage(msg),                        // 本次执行的输入消息
+                timer: null,
+                is_running: true,
+                is_completed: false,
+                current_index: start_index - 1,                         // 当前执行的子节点索引（-1表示未开始）
+                child_status: new Array(node.child_count).fill("waiting").fill("success", 0, start_index),  // 子节点状态数组
+                resumed_from: start_index,                              // 记忆模式：本次开始执行的子节点索引
+                recheck_index: -1,                                      // 响应式模式：正在重新评估的子节点索引（-1表示未在评估）
+                started_at: Date.now(),                                 // 执行开始时间
+                child_started: new Array(node.child_count).fill(null),  // 各子节点开始时间
+                child_durations: new Array(node.child_count).fill(null), // 各子节点耗时(ms)
+                deadline_timer: null,                                   // 超时定时器
+                timed_out: false,                                       // 是否因超时结束
+                paused: null,                                           // 断点暂停信息（{ index, paused_at }），未暂停时为 null
+                stepping: false,                                        // 单步执行：下一个子节点执行前再次暂停
+                state: null                                             // 本次执行的状态，执行第一个子节点时写入全局状态
+            };
+            exec.state = initial_state(exec);
+            node.executions.set(exec.id, exec);
+            node.latest_exec_id = exec.id;
+            monitor.trace(node, exec, "tick");
+
+            // 初始化子状态
+            node.blackboard.set(node.child_key, "running");
+
             // 立即执行第一个子节点
-            const cur_msg = RED.util.cloneMessage(msg);
-            executeNextChild(cur_msg);
-            
-            // 启动状态检查定时器
-            node.timer = setInterval(() => check_child_state(cur_msg), node.check_interval);
+            executeNextChild(exec);
+            start_timers(exec);
         });
 
+        /**
+         * 启动状态检查定时器（轮询模式）和超时定时器
+         * 超时按执行开始时间计算，恢复的执行只剩余未用完的时间
+         */
+        function start_timers(exec) {
+            if (exec.is_running && node.check_interval > 0) {
+                exec.timer = setInterval(() => check_child_state(exec), node.check_interval);
+            }
+            if (exec.is_running && node.timeout > 0) {
+                const remaining = Math.max(0, node.timeout - (Date.now() - exec.started_at));
+                exec.deadline_timer = setTimeout(() => timeoutExecution(exec), remaining);
+            }
+        }
+
         /**
          * 执行下一个子节点
          */
-        function executeNextChild(msg) {
-            if (!node.is_running || node.is_completed) return;
-            
+        function executeNextChild(exec) {
+            if (!exec.is_running || exec.is_completed) return;
+
             // 移动到下一个子节点索引
-            node.current_index++;
-            
+            exec.current_index++;
+
             // 所有子节点执行完成
-            if (node.current_index >= node.child_count) {
-                finishExecution("success");
+            if (exec.current_index >= node.child_count) {
+                finishExecution(exec, "success");
+                return;
+            }
+
+            // 断点：执行子节点前暂停
+            if (exec.stepping || node.break_all || node.breakpoints.indexOf(exec.current_index) !== -1) {
+                pauseExecution(exec);
                 return;
             }
+            dispatchCurrentChild(exec);
+        }
+
+        /**
+         * 执行当前子节点
+         */
+        function dispatchCurrentChild(exec) {
+            exec.child_status[exec.current_index] = "running";
+            exec.child_started[exec.current_index] = Date.now();
 
-            // 执行当前子节点
-            const child_msg = RED.util.cloneMessage(msg);
-            child_msg.__sequence_index = node.current_index;  // 传递当前子节点索引
-            node.child_status[node.current_index] = "running";
-            
             // 发送到对应索引的输出端口
             const output_msgs = Array(node.child_count).fill(null);
-            output_msgs[node.current_index] = child_msg;
+            output_msgs[exec.current_index] = create_child_msg(exec, exec.current_index);
             node.send(output_msgs);
-            
+            monitor.trace(node, exec, "dispatch", { index: exec.current_index });
+
             // 更新节点状态
-            node.status({ 
-                fill: "yellow", 
-                shape: "dot", 
-                text: `执行子节点 ${node.current_index + 1}/${node.child_count}` 
-            });
+            update_status("yellow", `执行子节点 ${exec.current_index + 1}/${node.child_count}`);
 
             // 更新全局状态
-            node.context().global.set(node.global_key, {
-                ...node.context().global.get(node.global_key),
-                current_index: node.current_index,
-                child_status: node.child_status,
+            save_state(exec, {
+                ...exec.state,
+                current_index: exec.current_index,
+                child_status: exec.child_status,
                 status: "running"
             });
-            node.context().global.set(node.child_key, "running");
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, "running");
+            }
+        }
+
+        /**
+         * 断点：在当前子节点执行前暂停，等待单步或继续命令
+         */
+        function pauseExecution(exec) {
+            exec.paused = { index: exec.current_index, paused_at: Date.now() };
+            exec.stepping = false;
+            monitor.trace(node, exec, "paused", { index: exec.current_index });
+            update_status("blue", `暂停在子节点 ${exec.current_index + 1}/${node.child_count}`);
+            save_state(exec, {
+                ...exec.state,
+                current_index: exec.current_index,
+                child_status: exec.child_status,
+                status: "paused"
+            });
         }
 
         /**
-         * 检查当前子节点执行状态
+         * 调试命令：step 执行暂停的子节点后在下一个子节点前再次暂停；continue 执行到下一个断点
          */
-        function check_child_state(msg) {
-            if (!node.is_running || node.is_completed) return;
-            if (node.current_index < 0 || node.current_index >= node.child_count) return;
+        function continueExecution(exec, command) {
+            if (!exec.is_running || exec.is_completed || !exec.paused) return;
+            exec.paused = null;
+            exec.stepping = command === "step";
+            monitor.trace(node, exec, "continued", { index: exec.current_index, command: command });
+            dispatchCurrentChild(exec);
+        }
 
-            // 读取子节点状态
-            const global_state = node.context().global.get(node.global_key) || {};
-            const child_status = global_state.child_status[node.current_index];  // 子节点应设置此状态（success/failure）
+        /**
+         * 创建发给指定子节点的消息
+         */
+        function create_child_msg(exec, index) {
+            const child_msg = RED.util.cloneMessage(exec.msg);
+            child_msg.__sequence_index = index;  // 传递当前子节点索引
+            child_msg.__bt_parent = node.id;   // 子节点回报结果时用于识别父节点
+            child_msg.__bt_exec_id = exec.id;  // 子节点回报结果时用于识别执行
+            delete child_msg.bt_status;
+            delete child_msg.bt_halt;
+            return child_msg;
+        }
 
-            // 子节点未完成时不处理
+        /**
+         * 查找中止消息对应的执行
+         * 消息带有 __bt_exec_id 时只匹配该执行（本节点的执行ID或父节点传入的执行ID），否则匹配全部执行
+         */
+        function find_executions(msg) {
+            const executions = Array.from(node.executions.values());
+            if (msg.__bt_exec_id === undefined) return executions;
+            return executions.filter(exec => exec.id === msg.__bt_exec_id || exec.msg.__bt_exec_id === msg.__bt_exec_id);
+        }
+
+        /**
+         * 判断消息是否为发给本节点的子节点结果
+         */
+        function is_child_result(msg) {
+            return msg.bt_status !== undefined && msg.__bt_parent === node.id;
+        }
+
+        /**
+         * 处理子节点回报的结果（通过事件或连线送达），不视为新的执行
+         */
+        function receive_child_result(msg) {
+            const exec = node.executions.get(msg.__bt_exec_id);
+            if (exec && msg.__sequence_index === exec.current_index) {
+                handle_child_result(exec, msg.bt_status);
+            } else if (exec && msg.__sequence_index === exec.recheck_index) {
+                handle_recheck_result(exec, msg.bt_status);
+            }
+        }
+
+        /**
+         * 检查当前子节点执行状态（轮询全局状态）
+         * 全局状态顶层字段只对应最近启动的执行，其他执行需通过 msg.bt_status 回报结果
+         */
+        function check_child_state(exec) {
+            if (!exec.is_running || exec.is_completed) return;
+            if (exec.current_index < 0 || exec.current_index >= node.child_count) return;
+
+            // 读取子节点状态（子节点应设置 child_status 中对应索引的状态 success/failure）
+            if (exec.id !== node.latest_exec_id) return;
+            const child_status = (node.blackboard.get(node.global_key) || {}).child_status || [];
+
+            // 响应式模式：同时检查正在重新评估的子节点
+            if (exec.recheck_index >= 0) {
+                handle_recheck_result(exec, child_status[exec.recheck_index]);
+            }
+            handle_child_result(exec, child_status[exec.current_index]);
+        }
+
+        /**
+         * 处理当前子节点的执行结果（来自轮询或 msg.bt_status）
+         */
+        function handle_child_result(exec, child_status) {
+            if (!exec.is_running || exec.is_completed) return;
+            if (exec.current_index < 0 || exec.current_index >= node.child_count) return;
+
+            // 子节点未完成，或结果已经处理过（事件和连线重复送达）时不处理
             if (child_status !== "success" && child_status !== "failure") return;
+            if (exec.child_status[exec.current_index] !== "running") return;
 
             // 更新当前子节点状态记录
-            node.child_status[node.current_index] = child_status;
-
-            // 重置子节点状态，准备下一次检查
-            node.context().global.set(node.global_key, {
-                ...global_state,
-                child_status: node.child_status
+            exec.child_status[exec.current_index] = child_status;
+            exec.child_durations[exec.current_index] = Date.now() - exec.child_started[exec.current_index];
+            monitor.trace(node, exec, "child_result", {
+                index: exec.current_index,
+                status: child_status,
+                duration: exec.child_durations[exec.current_index]
             });
 
-            // 根据子节点结果决定下一步
+            // 根据子节点结果决定下一步（执行下一个子节点或结束时写入全局状态）
             if (child_status === "success") {
                 // 当前子节点成功，执行下一个
-                executeNextChild(msg);
+                executeNextChild(exec);
             } else {
                 // 当前子节点失败，整体失败
-                finishExecution("failure");
+                finishExecution(exec, "failure");
+            }
+        }
+
+        /**
+         * 响应式模式：查找与输入消息属于同一父执行的运行中执行
+         * 消息带有 __bt_exec_id 时按父节点传入的执行ID匹配，否则匹配最近启动的无父执行
+         */
+        function find_reactive_execution(msg) {
+            const executions = Array.from(node.executions.values())
+                .filter(exec => exec.msg.__bt_exec_id === msg.__bt_exec_id);
+            return executions.length > 0 ? executions[executions.length - 1] : null;
+        }
+
+        /**
+         * 响应式模式：从第一个子节点开始依次重新评估已成功的条件子节点
+         * 正在运行的子节点不会重复触发；上一次评估尚未完成时只更新输入消息
+         */
+        function recheckChildren(exec, msg) {
+            // 使用最新的输入消息，条件子节点据此重新判断
+            exec.msg = RED.util.cloneMessage(msg);
+            if (exec.recheck_index >= 0) return;
+
+            tickRecheckChild(exec, 0);
+        }
+
+        /**
+         * 响应式模式：子节点端口是否只连接条件节点（bt-condition/bt-wait-until）
+         * 只有条件子节点会被重新评估，动作等有副作用的子节点不会因新的输入而重新执行
+         */
+        function is_condition_child(index) {
+            const targets = (node.wires || [])[index] || [];
+            return targets.length > 0 && targets.every(id => {
+                const target = RED.nodes.getNode(id);
+                return target && (target.type === "bt-condition" || target.type === "bt-wait-until");
+            });
+        }
+
+        /**
+         * 响应式模式：重新触发指定位置起的下一个已成功条件子节点，到达当前运行的子节点时结束评估
+         */
+        function tickRecheckChild(exec, index) {
+            if (!exec.is_running || exec.is_completed) return;
+
+            while (index < exec.current_index && !is_condition_child(index)) {
+                index++;
+            }
+
+            if (index >= exec.current_index) {
+                exec.recheck_index = -1;
+                save_state(exec, {
+                    ...exec.state,
+                    recheck_index: -1
+                });
+                return;
+            }
+
+            exec.recheck_index = index;
+            exec.child_status[index] = "running";
+
+            const output_msgs = Array(node.child_count).fill(null);
+            output_msgs[index] = create_child_msg(exec, index);
+            node.send(output_msgs);
+            monitor.trace(node, exec, "dispatch", { index: index, recheck: true });
+
+            update_status("yellow", `重新评估子节点 ${index + 1}/${node.child_count}`);
+            save_state(exec, {
+                ...exec.state,
+                child_status: exec.child_status,
+                recheck_index: index,
+                status: "running"
+            });
+        }
+
+        /**
+         * 响应式模式：处理重新评估的子节点结果
+         * 仍然成功则继续评估下一个；失败则中止正在运行的子节点，整体失败
+         */
+        function handle_recheck_result(exec, child_status) {
+            if (!exec.is_running || exec.is_completed || exec.recheck_index < 0) return;
+
+            // 子节点未完成，或结果已经处理过时不处理
+            if (child_status !== "success" && child_status !== "failure") return;
+            if (exec.child_status[exec.recheck_index] !== "running") return;
+
+            const index = exec.recheck_index;
+            exec.child_status[index] = child_status;
+            monitor.trace(node, exec, "child_result", { index: index, status: child_status, recheck: true });
+
+            if (child_status === "success") {
+                tickRecheckChild(exec, index + 1);
+                if (exec.recheck_index < 0) {
+                    update_status("yellow", `执行子节点 ${exec.current_index + 1}/${node.child_count}`);
+                }
+            } else {
+                exec.recheck_index = -1;
+                halt_running_child(exec);
+                finishExecution(exec, "failure");
             }
         }
 
         /**
          * 完成序列执行
          */
-        function finishExecution(final_status) {
-            node.is_completed = true;
-            node.is_running = false;
-            clearInterval(node.timer);
-            node.timer = null;
+        function finishExecution(exec, final_status) {
+            exec.is_completed = true;
+            exec.is_running = false;
+            exec.paused = null;
+            clearInterval(exec.timer);
+            clearTimeout(exec.deadline_timer);
+            exec.timer = null;
+            exec.deadline_timer = null;
+            node.executions.delete(exec.id);
+
+            // 记忆模式：失败时下次从失败的子节点继续，成功时下次从头开始
+            remember_index(exec, final_status === "success" ? 0 : exec.current_index);
 
             // 统计成功/失败的子节点索引
             const success_indices = [];
             const failure_indices = [];
-            node.child_status.forEach((state, index) => {
+            exec.child_status.forEach((state, index) => {
                 if (state === "success") success_indices.push(index);
                 if (state === "failure") failure_indices.push(index);
             });
 
             // 更新全局状态
-            node.context().global.set(node.global_key, {
+            const result = {
                 type: "sequence",
+                mode: node.sequence_mode,
                 status: final_status,
                 total_children: node.child_count,
-                completed_children: node.current_index + 1,
+                completed_children: Math.min(exec.current_index + 1, node.child_count),
                 success_indices: success_indices,
                 failure_indices: failure_indices,
-                child_status: node.child_status
+                child_status: exec.child_status,
+                resumed_from: exec.resumed_from,
+                timed_out: exec.timed_out
+            };
+            save_state(exec, result);
+            monitor.trace(node, exec, "finished", {
+                status: final_status,
+                duration: Date.now() - exec.started_at,
+                timed_out: exec.timed_out
             });
-            node.context().global.set(node.child_key, final_status);
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, final_status);
+            }
 
-            // 状态文本换行显示
-            // const status_text = `${final_status}（共${node.child_count}个）` +
-            //                    `成功: [${success_indices}] ` +
-            //                    `失败: [${failure_indices}]`;
             let status_text = `${final_status}（共${node.child_count}个节点）`;
             if (failure_indices.length > 0) {
                 status_text = status_text + `节点${failure_indices[0] + 1}失败`;
             }
+            if (exec.timed_out) {
+                status_text = status_text + `超时（${node.timeout / 1000}秒）`;
+            }
             const status_color = final_status === "success" ? "green" : "red";
-            node.status({ fill: status_color, shape: "dot", text: status_text });
+            update_status(status_color, status_text);
+
+            // 从完成端口发送结果消息
+            send_result(exec, result);
+        }
+
+        /**
+         * 从完成端口（最后一个输出端口）发送执行结果
+         * 结果消息基于本次执行的输入消息，保留父节点的 __bt_parent 等字段，可直接连回父节点输入端口
+         */
+        function send_result(exec, result) {
+            const finished_at = Date.now();
+            const done_msg = RED.util.cloneMessage(exec.msg);
+            done_msg.bt_status = result.status;
+            done_msg.bt_result = {
+                ...result,
+                exec_id: exec.id,
+                started_at: exec.started_at,
+                finished_at: finished_at,
+                duration: finished_at - exec.started_at,
+                child_durations: exec.child_durations
+            };
+
+            const output_msgs = Array(node.child_count + 1).fill(null);
+            output_msgs[node.child_count] = done_msg;
+            node.send(output_msgs);
+            events.report(RED, done_msg);
+        }
+
+        /**
+         * 中止序列执行，并把中止消息发给正在运行的子节点
+         */
+        function haltExecution(exec) {
+            exec.is_completed = true;
+            exec.is_running = false;
+            exec.paused = null;
+            clearInterval(exec.timer);
+            clearTimeout(exec.deadline_timer);
+            exec.timer = null;
+            exec.deadline_timer = null;
+            node.executions.delete(exec.id);
+
+            // 中止正在运行的子节点
+            const index = exec.current_index;
+            halt_running_child(exec);
+
+            // 记忆模式：下次从被中止的子节点继续
+            remember_index(exec, index);
+
+            // 更新全局状态
+            save_state(exec, {
+                ...exec.state,
+                status: "halted",
+                child_status: exec.child_status
+            });
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, "halted");
+            }
+
+            monitor.trace(node, exec, "halted", { index: index, duration: Date.now() - exec.started_at });
+
+            update_status("grey", `已中止（子节点 ${Math.min(index + 1, node.child_count)}/${node.child_count}）`);
+        }
+
+        /**
+         * 向正在运行的子节点（包括响应式模式下正在重新评估的子节点）发送中止消息，并标记为 halted
+         */
+        function halt_running_child(exec) {
+            const output_msgs = Array(node.child_count).fill(null);
+            let has_running = false;
+            exec.child_status.forEach((state, index) => {
+                if (state !== "running") return;
+                exec.child_status[index] = "halted";
+                const halt_msg = create_child_msg(exec, index);
+                halt_msg.bt_halt = true;
+                output_msgs[index] = halt_msg;
+                has_running = true;
+            });
+            if (has_running) {
+                node.send(output_msgs);
+            }
+        }
 
-            // 发送结果消息
-            // node.send({
-            //     status: final_status,
-            //     total_children: node.child_count,
-            //     completed_children: node.current_index + 1,
-            //     success_indices: success_indices,
-            //     failure_indices: failure_indices,
-            //     child_status: node.child_status,
-            //     status_text: status_text.replace(/<br>/g, "\n")
-            // });
+        /**
+         * 记忆模式：调用方标识，不同父节点（如两个根节点）的进度互不影响
+         * 父节点每次执行的执行ID都不同，因此按父节点ID区分；没有父节点的输入（如 inject）共用一个进度
+         */
+        function caller_of(msg) {
+            return msg.__bt_parent || "";
+        }
+
+        /**
+         * 记忆模式：记录同一调用方下次输入开始执行的子节点索引
+         */
+        function remember_index(exec, index) {
+            if (node.sequence_mode !== "memory") return;
+            const resume_index = Math.min(Math.max(index, 0), node.child_count - 1);
+            if (resume_index > 0) {
+                node.resume_indices.set(caller_of(exec.msg), resume_index);
+            } else {
+                node.resume_indices.delete(caller_of(exec.msg));
+            }
+        }
+
+        /**
+         * 执行超时：中止正在运行的子节点，整体失败
+         */
+        function timeoutExecution(exec) {
+            if (!exec.is_running || exec.is_completed) return;
+
+            exec.timed_out = true;
+            halt_running_child(exec);
+            finishExecution(exec, "failure");
+        }
+
+        /**
+         * 执行开始（或恢复）时的状态，在执行第一个子节点时写入全局状态
+         */
+        function initial_state(exec) {
+            return {
+                type: "sequence",
+                mode: node.sequence_mode,
+                status: "running",
+                current_index: exec.current_index,
+                total_children: node.child_count,
+                child_status: exec.child_status,
+                resumed_from: exec.resumed_from,
+                recheck_index: exec.recheck_index
+            };
+        }
+
+        /**
+         * 写入全局状态，每次状态变化只写入一次
+         * 执行状态保存在内存中（exec.state 和 node.executions），写入前不读取全局状态：
+         * 顶层字段只反映最近启动的执行（兼容通过全局状态回报结果的子节点），
+         * executions 中按执行ID记录所有运行中执行的概要，并发执行之间互不覆盖
+         */
+        function save_state(exec, state) {
+            exec.state = state;
+            // 断点暂停信息（paused）始终反映执行的当前状态
+            if (exec.id === node.latest_exec_id) {
+                node.state = { ...state, paused: exec.paused, exec_id: exec.id };
+                monitor.publish(RED, node, exec, state);
+            }
+
+            const executions = {};
+            node.executions.forEach(running => {
+                executions[running.id] = {
+                    status: running.paused ? "paused" : "running",
+                    current_index: running.current_index,
+                    child_status: running.child_status,
+                    recheck_index: running.recheck_index,
+                    paused: running.paused
+                };
+            });
+            // 轮询模式：通过全局状态回报结果的子节点可能已写入最近执行的 child_status，写入其他执行的变化时保留
+            const top = node.check_interval > 0 && exec.id !== node.latest_exec_id
+                ? node.blackboard.get(node.global_key) || node.state
+                : node.state;
+            node.blackboard.set(node.global_key, { ...top, executions: executions });
+            node.checkpoints.save(exec);
+        }
+
+        /**
+         * 断点续跑：按保存的进度恢复执行，重新执行中断时正在运行的子节点
+         * 执行ID保持不变，父节点和子节点据此继续对应
+         */
+        function resume_execution(checkpoint) {
+            const exec = {
+                id: checkpoint.id,
+                msg: checkpoint.msg,
+                timer: null,
+                is_running: true,
+                is_completed: false,
+                resumed: true,                                          // 从保存的进度恢复，父节点重新发来的消息由本执行接管
+                current_index: checkpoint.current_index - 1,            // 重新执行中断时的子节点
+                // 正在运行（包括响应式模式下正在重新评估）的子节点：当前子节点重新执行，之前的子节点视为已成功
+                child_status: checkpoint.child_status.map((state, index) => {
+                    if (state !== "running") return state;
+                    return index < checkpoint.current_index ? "success" : "waiting";
+                }),
+                resumed_from: checkpoint.resumed_from,
+                recheck_index: -1,
+                started_at: checkpoint.started_at,
+                child_started: new Array(node.child_count).fill(null),
+                child_durations: checkpoint.child_durations,
+                deadline_timer: null,
+                timed_out: false,
+                paused: null,
+                stepping: false,
+                state: null
+            };
+            exec.state = initial_state(exec);
+            node.executions.set(exec.id, exec);
+            node.latest_exec_id = exec.id;
+            monitor.trace(node, exec, "tick", { resumed: true, index: checkpoint.current_index });
+
+            node.blackboard.set(node.child_key, "running");
+
+            executeNextChild(exec);
+            start_timers(exec);
+        }
+
+        /**
+         * 断点续跑：从完成端口输出 interrupted 结果，不再继续执行
+         */
+        function report_interrupted(checkpoint) {
+            const done_msg = RED.util.cloneMessage(checkpoint.msg);
+            done_msg.bt_status = "interrupted";
+            done_msg.bt_result = {
+                type: "sequence",
+                mode: node.sequence_mode,
+                status: "interrupted",
+                total_children: checkpoint.child_count,
+                current_index: checkpoint.current_index,
+                child_status: checkpoint.child_status,
+                resumed_from: checkpoint.resumed_from,
+                exec_id: checkpoint.id,
+                started_at: checkpoint.started_at,
+                interrupted_at: checkpoint.saved_at,
+                child_durations: checkpoint.child_durations
+            };
+
+            const output_msgs = Array(node.child_count + 1).fill(null);
+            output_msgs[node.child_count] = done_msg;
+            node.send(output_msgs);
+
+            const index = Math.min(checkpoint.current_index + 1, checkpoint.child_count);
+            node.status({ fill: "grey", shape: "ring", text: `已中断（子节点 ${index}/${checkpoint.child_count}）` });
+        }
+
+        /**
+         * 更新节点状态显示，存在并发执行时附带执行数量
+         */
+        function update_status(fill, text) {
+            const running = node.executions.size;
+            node.status({ fill: fill, shape: "dot", text: running > 1 ? `${text}（${running}个执行中）` : text });
         }
 
         /**
          * 节点关闭时清理资源
          */
         node.on('close', function() {
-            node.is_running = false;
-            node.is_completed = true;
-            if (node.timer) {
-                clearInterval(node.timer);
-                node.timer = null;
-            }
+            node.executions.forEach(exec => {
+                exec.is_running = false;
+                exec.is_completed = true;
+                if (exec.timer) {
+                    clearInterval(exec.timer);
+                    exec.timer = null;
+                }
+                clearTimeout(exec.deadline_timer);
+            });
+            node.executions.clear();
             node.status({});
         });
     }
-    
+
     RED.nodes.registerType("bt-sequence", BTSequenceNode);
 };
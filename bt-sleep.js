@@ -1,85 +1,265 @@
+const blackboard = require('./bt-blackboard');
+const events = require('./bt-events');
+
 module.exports = function(RED) {
     function BTSleepNode(config) {
         RED.nodes.createNode(this, config);
         const node = this;
-        
+
         // 保存配置参数
-        node.delayTime = config.delayTime || 2000; // 延迟时间(毫秒)
-        node.countdownInterval = null; // 倒计时定时器
+        node.delayTime = Number(config.delayTime) || 2000; // 延迟时间(毫秒)
+        node.keepPayload = config.keepPayload === true; // 是否保留原消息的 payload
+        node.report = config.report === true; // 是否作为行为树叶子节点回报结果（msg.bt_status）
+        node.countdownInterval = null; // 倒计时显示定时器
         node.global_key = config.globalKey || "delay_time";    // 全局状态键名
-        node.remainingTime = 0; // 剩余时间(毫秒)
-        
+        node.blackboard = blackboard.create_accessor(node, RED.nodes.getNode(config.blackboard));  // 黑板访问器
+        // 正在进行的延时：执行ID（msg.__bt_exec_id，没有时为空字符串）-> 延时状态
+        // 行为树中并发的执行各自延时，互不替换；同一执行的新消息替换正在延时的消息
+        node.delays = new Map();
+
         // 处理输入消息
         node.on('input', function(msg) {
-            // 清除现有定时器
-            if (node.countdownInterval) {
-                clearInterval(node.countdownInterval);
+            // 中止消息（msg.bt_halt）：取消等待中的延时，不输出消息
+            // 消息带有 __bt_exec_id 时只中止同一父执行的延时
+            if (msg.bt_halt) {
+                const delays = findDelays(msg);
+                delays.forEach(delay => {
+                    stopTimer(delay);
+                    node.delays.delete(delay.key);
+                });
+                if (delays.length > 0) {
+                    showStatus("grey", "已中止");
+                }
+                return;
             }
-            
-            if (node.delayTimer) {
-                clearTimeout(node.delayTimer);
+
+            // 控制消息（msg.control）：暂停、继续、取消或延长当前的延时
+            if (msg.control !== undefined) {
+                handleControl(msg);
+                return;
             }
 
-            if (node.context().global.get(node.global_key) !== undefined && node.context().global.get(node.global_key) !== null)
-            {
-                node.delayTime = node.context().global.get(node.global_key);
+            // 同一执行的新消息替换正在延时的消息
+            const key = msg.__bt_exec_id === undefined ? "" : String(msg.__bt_exec_id);
+            const pending = node.delays.get(key);
+            if (pending) {
+                stopTimer(pending);
+                cancelPending(pending, "被新消息替换");
             }
-            
+
+            // 延迟时间优先级：msg.delay > 延迟时间参数 > 配置值
+            let delayTime = node.delayTime;
+            const globalDelay = Number(node.blackboard.get(node.global_key));
+            if (!isNaN(globalDelay) && globalDelay > 0) {
+                delayTime = globalDelay;
+            }
+            const msgDelay = Number(msg.delay);
+            if (msg.delay !== undefined && !isNaN(msgDelay) && msgDelay >= 0) {
+                delayTime = msgDelay;
+            }
+
             // 初始化倒计时
-            node.remainingTime = node.delayTime;
-            const msgCopy = RED.util.cloneMessage(msg);
-            
-            // 显示初始状态
-            node.status({
-                fill: "orange",
-                shape: "ring",
-                text: `剩余: ${Math.ceil(node.remainingTime / 1000)}秒`
-            });
-            
-            // 启动倒计时定时器(每秒更新一次)
-            node.countdownInterval = setInterval(function() {
-                node.remainingTime -= 1000;
-                if (node.remainingTime <= 0) {
-                    node.remainingTime = 0;
+            const delay = {
+                key: key,
+                msg: RED.util.cloneMessage(msg),    // 正在延时的消息
+                delayTimer: null,                   // 延迟定时器
+                currentDelay: delayTime,            // 延时的总时长(毫秒)，延长后会增加
+                remainingTime: delayTime,           // 剩余时间(毫秒)
+                deadline: 0,                        // 延时结束的时间戳
+                paused: false                       // 是否已暂停
+            };
+            delete delay.msg.delay;
+            node.delays.set(key, delay);
+
+            startTimer(delay);
+        });
+
+        /**
+         * 查找控制消息或中止消息对应的延时
+         * 消息带有 __bt_exec_id 时只匹配同一父执行的延时，否则匹配全部延时
+         */
+        function findDelays(msg) {
+            const delays = Array.from(node.delays.values());
+            if (msg.__bt_exec_id === undefined) return delays;
+            return delays.filter(delay => delay.key === String(msg.__bt_exec_id));
+        }
+
+        /**
+         * 处理控制消息
+         */
+        function handleControl(msg) {
+            const delays = findDelays(msg);
+            if (delays.length === 0) {
+                node.warn(`没有正在等待的延时，忽略控制消息: ${msg.control}`);
+                return;
+            }
+
+            switch (msg.control) {
+                case "pause":
+                    // 冻结倒计时，记录剩余时间
+                    delays.filter(delay => !delay.paused).forEach(delay => {
+                        delay.remainingTime = Math.max(0, delay.deadline - Date.now());
+                        stopTimer(delay);
+                        delay.paused = true;
+                    });
+                    showCountdown();
+                    break;
+
+                case "resume":
+                    // 从暂停时的剩余时间继续
+                    delays.filter(delay => delay.paused).forEach(delay => {
+                        delay.paused = false;
+                        startTimer(delay);
+                    });
+                    break;
+
+                case "cancel":
+                    delays.forEach(delay => {
+                        stopTimer(delay);
+                        cancelPending(delay, "已取消");
+                    });
+                    break;
+
+                case "extend": {
+                    // 延长时间：msg.delay 毫秒，未指定时延长配置的延迟时间
+                    const extra = Number(msg.delay);
+                    const amount = msg.delay !== undefined && !isNaN(extra) && extra > 0 ? extra : node.delayTime;
+                    delays.forEach(delay => {
+                        delay.currentDelay += amount;
+                        if (delay.paused) {
+                            delay.remainingTime += amount;
+                        } else {
+                            delay.remainingTime = Math.max(0, delay.deadline - Date.now()) + amount;
+                            stopTimer(delay);
+                            startTimer(delay);
+                        }
+                    });
+                    showCountdown();
+                    break;
                 }
-                // 更新剩余时间显示
-                node.status({
-                    fill: "orange",
-                    shape: "ring",
-                    text: `剩余: ${Math.ceil(node.remainingTime / 1000)}秒`
-                });
-            }, 1000);
-            
+
+                default:
+                    node.warn(`未知的控制命令: ${msg.control}`);
+                    break;
+            }
+        }
+
+        /**
+         * 按剩余时间启动延迟定时器，并启动倒计时显示
+         */
+        function startTimer(delay) {
+            delay.deadline = Date.now() + delay.remainingTime;
+
+            // 启动倒计时显示定时器(每秒更新一次)，所有延时共用
+            if (!node.countdownInterval) {
+                node.countdownInterval = setInterval(showCountdown, 1000);
+            }
+            showCountdown();
+
             // 启动延迟定时器
-            node.delayTimer = setTimeout(function() {
-                // 清除倒计时定时器
-                clearInterval(node.countdownInterval);
-                node.countdownInterval = null;
-                
+            delay.delayTimer = setTimeout(function() {
+                delay.delayTimer = null;
+                node.delays.delete(delay.key);
+
                 // 处理消息并输出
-                msgCopy.payload = `延时${node.delayTime / 1000}s`;
+                const msgCopy = delay.msg;
+                if (!node.keepPayload) {
+                    msgCopy.payload = `延时${delay.currentDelay / 1000}s`;
+                }
+                if (node.report) {
+                    msgCopy.bt_status = "success";
+                }
                 node.send(msgCopy);
-                
+                if (node.report) {
+                    events.report(RED, msgCopy);
+                }
+
                 // 更新完成状态
-                node.status({
-                    fill: "green",
-                    shape: "dot",
-                    text: "延时结束"
-                });
-            }, node.delayTime);
-        });
-        
-        // 节点关闭时清理资源
-        node.on('close', function() {
+                showStatus("green", "延时结束", "dot");
+            }, delay.remainingTime);
+        }
+
+        /**
+         * 停止延迟定时器
+         */
+        function stopTimer(delay) {
+            if (delay.delayTimer) {
+                clearTimeout(delay.delayTimer);
+                delay.delayTimer = null;
+            }
+        }
+
+        /**
+         * 取消正在延时的消息；作为叶子节点时向父节点回报失败
+         */
+        function cancelPending(delay, text) {
+            node.delays.delete(delay.key);
+            if (node.report) {
+                const msgCopy = delay.msg;
+                msgCopy.bt_status = "failure";
+                node.send(msgCopy);
+                events.report(RED, msgCopy);
+            }
+            showStatus("grey", text);
+        }
+
+        /**
+         * 一次延时结束、取消或中止后更新状态：仍有其他延时时继续显示倒计时
+         */
+        function showStatus(fill, text, shape) {
+            if (node.delays.size > 0) {
+                showCountdown();
+                return;
+            }
             if (node.countdownInterval) {
                 clearInterval(node.countdownInterval);
+                node.countdownInterval = null;
+            }
+            node.status({ fill: fill, shape: shape || "ring", text: text });
+        }
+
+        /**
+         * 更新剩余时间显示：显示最先结束的延时，多个延时并行时附带数量
+         */
+        function showCountdown() {
+            const delays = Array.from(node.delays.values());
+            if (delays.length === 0) return;
+
+            delays.forEach(delay => {
+                if (!delay.paused) delay.remainingTime = Math.max(0, delay.deadline - Date.now());
+            });
+            const running = delays.filter(delay => !delay.paused);
+            let text;
+            if (running.length > 0) {
+                text = `剩余: ${formatTime(Math.min(...running.map(delay => delay.remainingTime)))}`;
+            } else {
+                text = `已暂停: 剩余 ${formatTime(Math.min(...delays.map(delay => delay.remainingTime)))}`;
+            }
+            if (delays.length > 1) {
+                text = text + `（${delays.length}个延时中）`;
             }
-            if (node.delayTimer) {
-                clearTimeout(node.delayTimer);
+            node.status({ fill: running.length > 0 ? "orange" : "blue", shape: "ring", text: text });
+        }
+
+        /**
+         * 格式化剩余时间：不足1秒时保留一位小数
+         */
+        function formatTime(ms) {
+            if (ms > 0 && ms < 1000) {
+                return `${(ms / 1000).toFixed(1)}秒`;
             }
+            return `${Math.ceil(ms / 1000)}秒`;
+        }
+
+        // 节点关闭时清理资源
+        node.on('close', function() {
+            node.delays.forEach(delay => stopTimer(delay));
+            node.delays.clear();
+            clearInterval(node.countdownInterval);
+            node.countdownInterval = null;
             node.status({}); // 清除状态显示
         });
     }
-    
+
     RED.nodes.registerType("bt-sleep", BTSleepNode);
 };
@@ -0,0 +1,400 @@
+const blackboard = require('./bt-blackboard');
+const monitor = require('./bt-monitor');
+const events = require('./bt-events');
+
+/**
+ * Node-RED 行为树超时节点模块
+ * 为单个子节点设置截止时间，超时后中止子节点并返回失败
+ * @param {Object} RED - Node-RED 运行时对象
+ */
+module.exports = function(RED) {
+    "use strict";
+
+    /**
+     * 行为树超时节点构造函数
+     * @param {Object} config - 节点配置对象
+     */
+    function BTTimeoutNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // ==================== 配置参数 ====================
+        /**
+         * 默认超时时间（毫秒）
+         * @type {number}
+         * @default 5000
+         */
+        node.timeout = Number(config.timeout) || 5000;
+
+        /**
+         * 从全局变量获取超时时间的键名
+         * 优先级：msg.bt_timeout > 全局变量 > 配置值
+         * @type {string}
+         * @default "timeout_time"
+         */
+        node.timeout_key = config.timeoutKey || "timeout_time";
+
+        /**
+         * 全局状态存储键名
+         * 子节点通过此键的 child_status 字段回报结果
+         * @type {string}
+         * @default "timeout_result"
+         */
+        node.global_key = config.globalKey || "timeout_result";
+
+        /**
+         * 子节点状态存储键名
+         * 执行结束后写入最终结果
+         * @type {string}
+         * @default "child_result"
+         */
+        node.child_key = config.childKey || "child_result";
+
+        /**
+         * 黑板访问器，状态键通过引用的黑板配置节点读写（未配置时使用 global 上下文）
+         * @type {Object}
+         */
+        node.blackboard = blackboard.create_accessor(node, RED.nodes.getNode(config.blackboard));
+
+        /**
+         * 轮询全局状态的时间间隔（毫秒），0 表示不轮询
+         * 子节点结果通过事件送达，只有通过全局状态回报结果的子节点需要轮询；旧版配置没有 pollInterval，保持 300ms 轮询
+         * @type {number}
+         * @default 0
+         */
+        node.check_interval = config.pollInterval !== undefined ? Number(config.pollInterval) || 0 : 300;
+
+        // ==================== 状态变量 ====================
+        /**
+         * 执行ID -> 执行状态，每次输入对应一个独立的执行
+         * @type {Map<string, Object>}
+         */
+        node.executions = new Map();
+
+        /**
+         * 最近启动的执行ID，全局状态的顶层字段对应此执行
+         * @type {string|null}
+         */
+        node.latest_exec_id = null;
+
+        /**
+         * 全局状态的顶层字段（最近启动的执行的状态），保存在内存中，写入时不需要先读取全局状态
+         * @type {Object|null}
+         */
+        node.state = null;
+
+        // 初始化节点状态显示
+        node.status({ fill: "grey", shape: "dot", text: "就绪" });
+
+        // 子节点结果通过事件直接送达，不需要连线回本节点
+        events.subscribe(node, receive_child_result);
+
+        /**
+         * 处理输入消息的事件监听器
+         * @param {Object} msg - 输入消息对象
+         */
+        node.on('input', function(msg) {
+            // 中止消息（msg.bt_halt）：停止对应的执行，并向正在运行的子节点传递
+            if (msg.bt_halt) {
+                find_executions(msg).forEach(exec => haltExecution(exec));
+                return;
+            }
+
+            // 子节点通过消息回报结果（msg.bt_status），不视为新的执行
+            if (is_child_result(msg)) {
+                receive_child_result(msg);
+                return;
+            }
+
+            // 创建新的执行
+            const exec = {
+                id: RED.util.generateId(),          // 执行ID，随消息传递给子节点
+                msg: RED.util.cloneMessage(msg),    // 本次执行的输入消息
+                timer: null,                        // 定期检查子节点状态的定时器句柄
+                deadline_timer: null,               // 超时定时器句柄
+                countdown_timer: null,              // 倒计时显示定时器句柄
+                is_running: true,
+                is_completed: false,
+                timeout: resolve_timeout(msg),      // 本次执行的超时时间(ms)
+                started_at: Date.now()              // 执行开始时间
+            };
+            node.executions.set(exec.id, exec);
+            node.latest_exec_id = exec.id;
+            monitor.trace(node, exec, "tick");
+
+            // 初始化全局状态对象
+            save_state(exec, {
+                type: "timeout",
+                status: "running",
+                timeout: exec.timeout,
+                child_status: "running"
+            });
+            node.blackboard.set(node.child_key, "running");
+
+            // 执行子节点
+            node.send([create_child_msg(exec), null]);
+            monitor.trace(node, exec, "dispatch");
+            show_countdown(exec);
+
+            // 启动定时器：检查子节点状态（轮询模式）、倒计时显示、截止时间
+            if (node.check_interval > 0) {
+                exec.timer = setInterval(() => check_child_state(exec), node.check_interval);
+            }
+            exec.countdown_timer = setInterval(() => show_countdown(exec), 1000);
+            exec.deadline_timer = setTimeout(() => timeoutExecution(exec), exec.timeout);
+        });
+
+        /**
+         * 计算本次执行的超时时间
+         * @param {Object} msg - 输入消息对象
+         * @returns {number} 超时时间（毫秒）
+         */
+        function resolve_timeout(msg) {
+            const msg_timeout = parseInt(msg.bt_timeout, 10);
+            if (!isNaN(msg_timeout) && msg_timeout > 0) {
+                return msg_timeout;
+            }
+
+            const global_timeout = parseInt(node.blackboard.get(node.timeout_key), 10);
+            if (!isNaN(global_timeout) && global_timeout > 0) {
+                return global_timeout;
+            }
+
+            return node.timeout;
+        }
+
+        /**
+         * 显示剩余时间
+         * @param {Object} exec - 执行状态对象
+         */
+        function show_countdown(exec) {
+            if (!exec.is_running) return;
+            const remaining = Math.max(0, exec.timeout - (Date.now() - exec.started_at));
+            update_status("orange", `剩余: ${Math.ceil(remaining / 1000)}秒`, "ring");
+        }
+
+        /**
+         * 创建发给子节点的消息
+         * @param {Object} exec - 执行状态对象
+         * @returns {Object} 子节点消息
+         */
+        function create_child_msg(exec) {
+            const child_msg = RED.util.cloneMessage(exec.msg);
+            // 记录父节点ID和执行ID，子节点可通过 msg.bt_status 直接回报结果
+            child_msg.__bt_parent = node.id;
+            child_msg.__bt_exec_id = exec.id;
+            delete child_msg.bt_status;
+            delete child_msg.bt_halt;
+            // 超时时间只作用于本节点，不传给子树中嵌套的超时节点
+            delete child_msg.bt_timeout;
+            return child_msg;
+        }
+
+        /**
+         * 查找中止消息对应的执行
+         * 消息带有 __bt_exec_id 时只匹配该执行（本节点的执行ID或父节点传入的执行ID），否则匹配全部执行
+         * @param {Object} msg - 中止消息
+         * @returns {Object[]} 匹配的执行状态对象
+         */
+        function find_executions(msg) {
+            const executions = Array.from(node.executions.values());
+            if (msg.__bt_exec_id === undefined) return executions;
+            return executions.filter(exec => exec.id === msg.__bt_exec_id || exec.msg.__bt_exec_id === msg.__bt_exec_id);
+        }
+
+        /**
+         * 判断消息是否为子节点回报给本节点的结果
+         * @param {Object} msg - 输入消息对象
+         * @returns {boolean} 带有 bt_status 且父节点ID为本节点时返回 true
+         */
+        function is_child_result(msg) {
+            return msg.bt_status !== undefined && msg.__bt_parent === node.id;
+        }
+
+        /**
+         * 处理子节点回报的结果（通过事件或连线送达），不视为新的执行
+         * 执行结束后重复送达的结果会被忽略
+         * @param {Object} msg - 带有 bt_status 的结果消息
+         */
+        function receive_child_result(msg) {
+            const exec = node.executions.get(msg.__bt_exec_id);
+            if (exec) {
+                handle_child_result(exec, msg.bt_status);
+            }
+        }
+
+        /**
+         * 检查子节点执行状态
+         * 定期轮询全局状态，获取子节点写入的执行结果
+         * @param {Object} exec - 执行状态对象
+         */
+        function check_child_state(exec) {
+            if (!exec.is_running || exec.is_completed) return;
+
+            if (exec.id !== node.latest_exec_id) return;
+            const global_state = node.blackboard.get(node.global_key) || {};
+            handle_child_result(exec, global_state.child_status);
+        }
+
+        /**
+         * 处理子节点执行结果：在截止时间前完成时原样回报
+         * @param {Object} exec - 执行状态对象
+         * @param {string} child_status - 子节点执行结果（"success" 或 "failure"）
+         */
+        function handle_child_result(exec, child_status) {
+            if (!exec.is_running || exec.is_completed) return;
+
+            // 子节点未完成时不处理
+            if (child_status !== "success" && child_status !== "failure") return;
+
+            monitor.trace(node, exec, "child_result", { status: child_status, duration: Date.now() - exec.started_at });
+            finishExecution(exec, child_status, false);
+        }
+
+        /**
+         * 截止时间已到：中止子节点并返回失败
+         * @param {Object} exec - 执行状态对象
+         */
+        function timeoutExecution(exec) {
+            if (!exec.is_running || exec.is_completed) return;
+
+            const halt_msg = create_child_msg(exec);
+            halt_msg.bt_halt = true;
+            node.send([halt_msg, null]);
+
+            finishExecution(exec, "failure", true);
+        }
+
+        /**
+         * 停止执行并清理定时器
+         * @param {Object} exec - 执行状态对象
+         */
+        function stop(exec) {
+            exec.is_completed = true;
+            exec.is_running = false;
+            node.executions.delete(exec.id);
+            clearInterval(exec.timer);
+            clearInterval(exec.countdown_timer);
+            clearTimeout(exec.deadline_timer);
+            exec.timer = null;
+            exec.countdown_timer = null;
+            exec.deadline_timer = null;
+        }
+
+        /**
+         * 完成执行：更新全局状态，并从完成端口输出结果
+         * @param {Object} exec - 执行状态对象
+         * @param {string} final_status - 最终结果
+         * @param {boolean} timed_out - 是否因超时结束
+         */
+        function finishExecution(exec, final_status, timed_out) {
+            stop(exec);
+
+            const finished_at = Date.now();
+            const result = {
+                type: "timeout",
+                status: final_status,
+                timeout: exec.timeout,
+                timed_out: timed_out,
+                child_status: timed_out ? "halted" : final_status
+            };
+            save_state(exec, result);
+            monitor.trace(node, exec, "finished", { status: final_status, duration: finished_at - exec.started_at, timed_out: timed_out });
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, final_status);
+            }
+
+            const elapsed = ((finished_at - exec.started_at) / 1000).toFixed(1);
+            if (timed_out) {
+                update_status("red", `failure（超时 ${exec.timeout / 1000}秒）`);
+            } else {
+                update_status(final_status === "success" ? "green" : "red", `${final_status}（用时 ${elapsed}秒）`);
+            }
+
+            // 从完成端口发送结果消息，可直接连回父节点输入端口
+            const done_msg = RED.util.cloneMessage(exec.msg);
+            done_msg.bt_status = final_status;
+            done_msg.bt_result = {
+                ...result,
+                exec_id: exec.id,
+                started_at: exec.started_at,
+                finished_at: finished_at,
+                duration: finished_at - exec.started_at
+            };
+            node.send([null, done_msg]);
+            events.report(RED, done_msg);
+        }
+
+        /**
+         * 中止执行，并把中止消息发给子节点
+         * @param {Object} exec - 执行状态对象
+         */
+        function haltExecution(exec) {
+            stop(exec);
+
+            const halt_msg = create_child_msg(exec);
+            halt_msg.bt_halt = true;
+            node.send([halt_msg, null]);
+
+            save_state(exec, {
+                type: "timeout",
+                status: "halted",
+                timeout: exec.timeout,
+                child_status: "halted"
+            });
+            if (exec.id === node.latest_exec_id) {
+                node.blackboard.set(node.child_key, "halted");
+            }
+
+            monitor.trace(node, exec, "halted", { duration: Date.now() - exec.started_at });
+
+            update_status("grey", "已中止");
+        }
+
+        /**
+         * 写入全局状态，写入前不读取全局状态
+         * 顶层字段只反映最近启动的执行，executions 中记录所有运行中执行（node.executions）的概要
+         * @param {Object} exec - 执行状态对象
+         * @param {Object} state - 该执行的完整状态对象
+         */
+        function save_state(exec, state) {
+            if (exec.id === node.latest_exec_id) {
+                node.state = { ...state, exec_id: exec.id };
+                monitor.publish(RED, node, exec, state);
+            }
+
+            const executions = {};
+            node.executions.forEach(running => {
+                executions[running.id] = { status: "running", timeout: running.timeout };
+            });
+            // 轮询模式：通过全局状态回报结果的子节点可能已写入最近执行的 child_status，写入其他执行的变化时保留
+            const top = node.check_interval > 0 && exec.id !== node.latest_exec_id
+                ? node.blackboard.get(node.global_key) || node.state
+                : node.state;
+            node.blackboard.set(node.global_key, { ...top, executions: executions });
+        }
+
+        /**
+         * 更新节点状态显示，存在并发执行时附带执行数量
+         * @param {string} fill - 状态颜色
+         * @param {string} text - 状态文本
+         * @param {string} [shape="dot"] - 状态形状
+         */
+        function update_status(fill, text, shape) {
+            const running = node.executions.size;
+            node.status({ fill: fill, shape: shape || "dot", text: running > 1 ? `${text}（${running}个执行中）` : text });
+        }
+
+        /**
+         * 节点关闭事件处理器
+         * 停止所有执行并清理定时器
+         */
+        node.on('close', function() {
+            node.executions.forEach(exec => stop(exec));
+            node.executions.clear();
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType("bt-timeout", BTTimeoutNode);
+};
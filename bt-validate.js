@@ -0,0 +1,166 @@
+/**
+ * Node-RED 行为树结构检查模块
+ * 部署后检查行为树的常见配置错误，这些错误在运行时通常表现为执行一直不结束：
+ * - 多个控制节点使用同一个全局状态键名，互相覆盖状态
+ * - 重复节点的重复次数参数没有被任何节点设置
+ * - 控制节点的子节点端口没有连线，对应的子节点不会执行
+ * - 控制节点之间沿子节点端口的连线形成循环
+ * 编辑器中的"检查行为树"（bt.html）通过 POST /bt/check 调用同一个检查
+ */
+"use strict";
+
+/**
+ * 写入全局状态（globalKey）的控制节点类型
+ * @type {string[]}
+ */
+const STATE_TYPES = ["bt-root", "bt-sequence", "bt-fallback", "bt-parallel", "bt-repeat", "bt-decorator", "bt-timeout"];
+
+/**
+ * 重复节点的默认重复次数参数，未设置时使用节点配置的次数，不视为错误
+ * @type {string}
+ */
+const DEFAULT_REPEAT_COUNT_KEY = "repeat_count";
+
+/**
+ * 初始化结构检查：每次部署（流程启动）后检查，发现的问题记录为警告日志；注册编辑器使用的检查接口
+ * @param {Object} RED - Node-RED 运行时对象
+ */
+module.exports = function(RED) {
+    RED.events.on("flows:started", function() {
+        const configs = [];
+        RED.nodes.eachNode(config => configs.push(config));
+        module.exports.check(configs).forEach(finding => {
+            RED.log.warn(`行为树检查: ${finding.message}`);
+        });
+    });
+
+    /**
+     * 检查编辑器中的流程（可能包含尚未部署的修改）
+     * POST /bt/check，请求体为全部节点的配置数组
+     */
+    RED.httpAdmin.post("/bt/check", RED.auth.needsPermission("bt.read"), function(req, res) {
+        if (!Array.isArray(req.body)) {
+            res.status(400).json({ error: "请求体应为节点配置数组" });
+            return;
+        }
+        res.json(module.exports.check(req.body));
+    });
+};
+
+/**
+ * 控制节点连接子节点的输出端口（与编辑器中的 btChildPorts 一致）
+ * sequence/fallback/parallel 最后一个端口为完成端口；repeat/decorator/timeout/root 第一个端口连接子节点
+ * @param {Object} config - 节点配置
+ * @returns {number[]} 端口索引
+ */
+function child_ports(config) {
+    switch (config.type) {
+        case "bt-sequence":
+        case "bt-fallback":
+        case "bt-parallel": {
+            const count = config.childCount !== undefined ? Number(config.childCount) : Number(config.outputs);
+            return Array.from({ length: count || 0 }, (v, i) => i);
+        }
+        case "bt-repeat":
+        case "bt-decorator":
+        case "bt-timeout":
+        case "bt-root":
+            return [0];
+        default:
+            return [];
+    }
+}
+
+/**
+ * 节点的显示名称，用于在检查结果中指明节点
+ * @param {Object} config - 节点配置
+ * @returns {string}
+ */
+function label(config) {
+    return `${config.type} "${config.name || config.id}"`;
+}
+
+/**
+ * 检查行为树结构
+ * @param {Object[]} configs - 所有节点的配置（含 wires）
+ * @returns {{id: string, message: string}[]} 检查结果，id 为出问题的节点
+ */
+module.exports.check = function(configs) {
+    const findings = [];
+    const nodes = configs.filter(config => !config.d);
+    const by_id = new Map(nodes.map(config => [config.id, config]));
+
+    // 1. 全局状态键名重复：黑板的作用域、存储、命名空间和键名都相同时，状态会互相覆盖
+    const slots = new Map();
+    nodes.filter(config => STATE_TYPES.indexOf(config.type) !== -1 && config.globalKey).forEach(config => {
+        const blackboard = by_id.get(config.blackboard);
+        const scope = blackboard && blackboard.scope === "flow" ? `flow:${config.z}` : "global";
+        const namespace = blackboard ? (blackboard.namespace || "").trim() : "";
+        const key = namespace ? `${namespace}.${config.globalKey}` : config.globalKey;
+        const slot = [scope, (blackboard && blackboard.store) || "", key].join("|");
+        const first = slots.get(slot);
+        if (first) {
+            findings.push({ id: config.id, message: `${label(config)} 与 ${label(first)} 使用相同的全局状态键名 "${key}"` });
+        } else {
+            slots.set(slot, config);
+        }
+    });
+
+    // 2. 重复次数参数没有被任何其他节点的配置引用（如 change 节点、函数节点）
+    // 名称、说明和注释节点中出现键名不算设置；每个节点的配置只序列化一次
+    const repeats = nodes.filter(config => config.type === "bt-repeat" &&
+        config.globalRepeatCount && config.globalRepeatCount !== DEFAULT_REPEAT_COUNT_KEY);
+    if (repeats.length > 0) {
+        const texts = nodes.filter(config => config.type !== "comment").map(config => {
+            const { name, info, ...settings } = config;
+            return { id: config.id, text: JSON.stringify(settings) };
+        });
+        repeats.forEach(config => {
+            const key = config.globalRepeatCount;
+            if (!texts.some(other => other.id !== config.id && other.text.indexOf(key) !== -1)) {
+                findings.push({ id: config.id, message: `${label(config)} 的重复次数参数 "${key}" 没有被任何节点设置` });
+            }
+        });
+    }
+
+    // 3. 子节点端口没有连线
+    nodes.forEach(config => {
+        child_ports(config).forEach(port => {
+            const wires = (config.wires || [])[port] || [];
+            if (wires.length === 0) {
+                findings.push({ id: config.id, message: `${label(config)} 的输出端口 ${port + 1} 没有连线，对应的子节点不会执行` });
+            }
+        });
+    });
+
+    // 4. 控制节点之间沿子节点端口的连线循环（完成端口和叶子节点连回父节点用于回报结果，不计入）
+    const children = new Map();
+    nodes.forEach(config => {
+        const targets = [];
+        child_ports(config).forEach(port => {
+            ((config.wires || [])[port] || []).forEach(id => {
+                const target = by_id.get(id);
+                if (target && child_ports(target).length > 0 && targets.indexOf(target) === -1) targets.push(target);
+            });
+        });
+        if (targets.length > 0) children.set(config.id, targets);
+    });
+    const visiting = [];
+    const done = new Set();
+    function visit(config) {
+        const index = visiting.indexOf(config);
+        if (index !== -1) {
+            const cycle = visiting.slice(index).concat(config);
+            findings.push({ id: config.id, message: `连线循环: ${cycle.map(label).join(" → ")}` });
+            return;
+        }
+        if (done.has(config.id)) return;
+        visiting.push(config);
+        (children.get(config.id) || []).forEach(visit);
+        visiting.pop();
+        done.add(config.id);
+    }
+    nodes.forEach(visit);
+
+    return findings;
+};
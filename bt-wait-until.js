@@ -0,0 +1,241 @@
+const events = require('./bt-events');
+const evaluator = require('./bt-evaluate');
+
+/**
+ * Node-RED 行为树等待条件节点模块
+ * 保持 running 状态，定期求值条件表达式，条件成立时回报成功，超时回报失败
+ * @param {Object} RED - Node-RED 运行时对象
+ */
+module.exports = function(RED) {
+    "use strict";
+
+    /**
+     * 行为树等待条件节点构造函数
+     * @param {Object} config - 节点配置对象
+     */
+    function BTWaitUntilNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // ==================== 配置参数 ====================
+        /**
+         * 条件类型
+         * - compare: 简单比较（属性 运算符 值）
+         * - jsonata: JSONata 表达式，可通过 $flowContext()/$globalContext() 读取上下文
+         * @type {string}
+         * @default "compare"
+         */
+        node.condition_type = config.conditionType || "compare";
+
+        /**
+         * 比较的左侧属性及其类型（msg/flow/global）
+         * @type {string}
+         * @default "payload"
+         */
+        node.property = config.property || "payload";
+        node.property_type = config.propertyType || "msg";
+
+        /**
+         * 比较运算符（eq/neq/gt/gte/lt/lte）
+         * @type {string}
+         * @default "eq"
+         */
+        node.operator = evaluator.OPERATORS[config.operator] ? config.operator : "eq";
+
+        /**
+         * 比较的右侧值及其类型（num/str/bool/msg/flow/global/env）
+         * @type {string}
+         */
+        node.value = config.value === undefined ? "" : config.value;
+        node.value_type = config.valueType || "num";
+
+        /**
+         * 检查条件的时间间隔（毫秒）
+         * @type {number}
+         * @default 500
+         */
+        node.check_interval = Number(config.interval) > 0 ? Number(config.interval) : 500;
+
+        /**
+         * 超时时间（毫秒），0 表示一直等待
+         * @type {number}
+         * @default 0
+         */
+        node.timeout = Number(config.timeout) > 0 ? Number(config.timeout) : 0;
+
+        /**
+         * 预编译的 JSONata 表达式，表达式有误时为 null
+         * @type {Object|null}
+         */
+        node.expression = null;
+        if (node.condition_type === "jsonata") {
+            try {
+                node.expression = RED.util.prepareJSONataExpression(config.expression || "", node);
+            } catch (err) {
+                node.error(`JSONata 表达式错误: ${err.message}`);
+                node.status({ fill: "red", shape: "ring", text: "表达式错误" });
+                return;
+            }
+        }
+
+        // ==================== 状态变量 ====================
+        /**
+         * 等待ID -> 等待状态，每条输入消息对应一个独立的等待
+         * @type {Map<string, Object>}
+         */
+        node.waits = new Map();
+
+        // 初始化节点状态显示
+        node.status({ fill: "grey", shape: "dot", text: "就绪" });
+
+        /**
+         * 处理输入消息的事件监听器
+         * @param {Object} msg - 输入消息对象
+         */
+        node.on('input', function(msg) {
+            // 中止消息（msg.bt_halt）：取消对应的等待，不回报结果
+            if (msg.bt_halt) {
+                find_waits(msg).forEach(wait => {
+                    stop(wait);
+                    node.status({ fill: "grey", shape: "ring", text: "已中止" });
+                });
+                return;
+            }
+
+            // 创建新的等待
+            const wait = {
+                id: RED.util.generateId(),
+                msg: RED.util.cloneMessage(msg),    // 条件求值使用的消息，回报结果时原样带回
+                timer: null,                        // 定期检查条件的定时器句柄
+                countdown_timer: null,              // 已用/剩余时间显示定时器句柄
+                deadline_timer: null,               // 超时定时器句柄
+                checking: false,                    // 是否有尚未完成的求值（JSONata 为异步）
+                is_running: true,
+                checks: 0,                          // 已求值次数
+                last_text: "",                      // 最近一次求值显示文本
+                started_at: Date.now()
+            };
+            node.waits.set(wait.id, wait);
+
+            show_progress(wait);
+
+            // 立即检查一次，条件已成立时不需要等待
+            check_condition(wait);
+            if (!wait.is_running) return;
+
+            wait.timer = setInterval(() => check_condition(wait), node.check_interval);
+            wait.countdown_timer = setInterval(() => show_progress(wait), 1000);
+            if (node.timeout > 0) {
+                wait.deadline_timer = setTimeout(() => finish(wait, "failure"), node.timeout);
+            }
+        });
+
+        /**
+         * 查找中止消息对应的等待
+         * 消息带有 __bt_exec_id 时只匹配同一父执行的等待，否则匹配全部等待
+         * @param {Object} msg - 中止消息
+         * @returns {Object[]} 匹配的等待状态对象
+         */
+        function find_waits(msg) {
+            const waits = Array.from(node.waits.values());
+            if (msg.__bt_exec_id === undefined) return waits;
+            return waits.filter(wait => wait.msg.__bt_exec_id === msg.__bt_exec_id);
+        }
+
+        /**
+         * 求值条件，成立时结束等待并回报成功
+         * @param {Object} wait - 等待状态对象
+         */
+        function check_condition(wait) {
+            if (!wait.is_running || wait.checking) return;
+
+            wait.checking = true;
+            evaluator.evaluate(RED, node, wait.msg, function(err, passed, text) {
+                wait.checking = false;
+                if (!wait.is_running) return;
+
+                wait.checks++;
+                if (err) {
+                    // 求值出错时继续等待，直到条件成立或超时
+                    if (wait.checks === 1) {
+                        node.warn(`条件求值失败: ${err.message}`);
+                    }
+                    wait.last_text = "求值失败";
+                    return;
+                }
+
+                wait.last_text = text;
+                if (passed) {
+                    finish(wait, "success");
+                }
+            });
+        }
+
+        /**
+         * 显示已等待时间和剩余时间
+         * @param {Object} wait - 等待状态对象
+         */
+        function show_progress(wait) {
+            if (!wait.is_running) return;
+
+            const elapsed = Date.now() - wait.started_at;
+            let text = `等待中: 已用 ${Math.floor(elapsed / 1000)}秒`;
+            if (node.timeout > 0) {
+                text = text + `，剩余 ${Math.ceil(Math.max(0, node.timeout - elapsed) / 1000)}秒`;
+            }
+            if (node.waits.size > 1) {
+                text = text + `（${node.waits.size}个等待中）`;
+            }
+            node.status({ fill: "yellow", shape: "ring", text: text });
+        }
+
+        /**
+         * 停止等待并清理定时器
+         * @param {Object} wait - 等待状态对象
+         */
+        function stop(wait) {
+            wait.is_running = false;
+            node.waits.delete(wait.id);
+            clearInterval(wait.timer);
+            clearInterval(wait.countdown_timer);
+            clearTimeout(wait.deadline_timer);
+            wait.timer = null;
+            wait.countdown_timer = null;
+            wait.deadline_timer = null;
+        }
+
+        /**
+         * 结束等待：写入 msg.bt_status 后输出，输出需连回父节点的输入端口
+         * @param {Object} wait - 等待状态对象
+         * @param {string} status - "success"（条件成立）或 "failure"（超时）
+         */
+        function finish(wait, status) {
+            if (!wait.is_running) return;
+            stop(wait);
+
+            const elapsed = ((Date.now() - wait.started_at) / 1000).toFixed(1);
+            const msg = wait.msg;
+            msg.bt_status = status;
+            node.send(msg);
+            events.report(RED, msg);
+
+            if (status === "success") {
+                node.status({ fill: "green", shape: "dot", text: `success（${wait.last_text}，用时 ${elapsed}秒）` });
+            } else {
+                node.status({ fill: "red", shape: "dot", text: `failure（超时 ${node.timeout / 1000}秒）` });
+            }
+        }
+
+        /**
+         * 节点关闭事件处理器
+         * 停止所有等待并清理定时器
+         */
+        node.on('close', function() {
+            node.waits.forEach(wait => stop(wait));
+            node.waits.clear();
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType("bt-wait-until", BTWaitUntilNode);
+};
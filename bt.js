@@ -3,8 +3,21 @@
  * Behavior Tree Nodes for Node-RED
  */
 module.exports = function (RED) {
+  require('./bt-monitor')(RED);
+  require('./bt-validate')(RED);
+  require('./bt-control')(RED);
+  require('./bt-blackboard')(RED);
+  require('./bt-root')(RED);
   require('./bt-repeat')(RED);
   require('./bt-sequence')(RED);
+  require('./bt-fallback')(RED);
+  require('./bt-decorator')(RED);
+  require('./bt-timeout')(RED);
   require('./bt-parallel')(RED);
   require('./bt-sleep')(RED);
+  require('./bt-result')(RED);
+  require('./bt-condition')(RED);
+  require('./bt-wait-until')(RED);
+  require('./bt-action')(RED);
+  require('./bt-metrics')(RED);
 };
@@ -0,0 +1,119 @@
+/**
+ * 断点续跑（bt-checkpoint.js）的测试：重新部署后继续执行或输出 interrupted 结果
+ */
+"use strict";
+
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert");
+const helper = require("node-red-node-test-helper");
+const bt = require("../bt");
+
+helper.init(require.resolve("node-red"));
+// 未配置上下文存储时重新部署后读不到之前保存的进度
+helper.settings({ contextStorage: { default: { module: "memory" } } });
+
+before(() => new Promise(resolve => helper.startServer(resolve)));
+after(() => new Promise(resolve => helper.stopServer(resolve)));
+afterEach(() => {
+    hooks.splice(0).forEach(hook => helper._RED.hooks.remove(hook));
+    return helper.unload();
+});
+
+/**
+ * 测试中添加的运行时钩子，每个测试结束后移除
+ * @type {string[]}
+ */
+const hooks = [];
+
+/**
+ * 等待异步发送的消息送达
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms || 30));
+}
+
+/**
+ * 收集发到测试节点的消息，包括重新部署过程中恢复的执行发出的消息
+ */
+function collect(id) {
+    const msgs = [];
+    const hook = `onReceive.bt-test-${id}`;
+    helper._RED.hooks.add(hook, event => {
+        if (event.destination.id === id) msgs.push(event.msg);
+    });
+    hooks.push(hook);
+    return msgs;
+}
+
+/**
+ * 加载流程并读取上下文存储
+ */
+async function load(flow) {
+    await helper.load(bt, flow);
+    await helper._context.load();
+}
+
+/**
+ * 第一个子节点立即成功、第二个子节点等待回报的 sequence
+ * 修改 name 使重新部署时重建 sequence 节点
+ */
+function sequence_flow(checkpoint, name) {
+    return [
+        { id: "seq", type: "bt-sequence", z: "t", name: name, checkpoint: checkpoint, childCount: 2, outputs: 3, pollInterval: 0, wires: [["first"], ["child"], ["done"]] },
+        { id: "first", type: "bt-result", z: "t", resultType: "success", wires: [[]] },
+        { id: "child", type: "helper", z: "t" },
+        { id: "done", type: "helper", z: "t" },
+        { id: "t", type: "tab" }
+    ];
+}
+
+/**
+ * 父节点发给 sequence 的消息
+ */
+const parent_msg = { payload: 1, __bt_parent: "parent", __bt_exec_id: "parent-exec" };
+
+test("resume: 重新部署后从中断的子节点继续，并接管父节点重新发来的消息", async () => {
+    await load(sequence_flow("resume", "a"));
+    const ticks = collect("child");
+
+    helper.getNode("seq").receive({ ...parent_msg });
+    await wait();
+    assert.strictEqual(ticks.length, 1);
+    const exec_id = ticks[0].__bt_exec_id;
+
+    const done = collect("done");
+    await helper.setFlows(sequence_flow("resume", "b"), "full");
+    await wait();
+    // 执行ID不变，重新执行中断时正在运行的第二个子节点
+    assert.deepStrictEqual(ticks.slice(1).map(msg => [msg.__sequence_index, msg.__bt_exec_id]), [[1, exec_id]]);
+
+    // 父节点恢复后重新发来同一条消息：不创建新的执行
+    helper.getNode("seq").receive({ ...parent_msg });
+    await wait();
+    assert.strictEqual(ticks.length, 2);
+    assert.strictEqual(helper.getNode("seq").executions.size, 1);
+
+    helper.getNode("seq").receive({ ...ticks[1], bt_status: "success" });
+    await wait();
+    assert.deepStrictEqual(done.map(msg => [msg.bt_status, msg.bt_result.exec_id, msg.__bt_exec_id]), [["success", exec_id, "parent-exec"]]);
+});
+
+test("interrupted: 重新部署后从完成端口输出 interrupted 结果，不再继续执行", async () => {
+    await load(sequence_flow("interrupted", "a"));
+    const ticks = collect("child");
+
+    helper.getNode("seq").receive({ ...parent_msg });
+    await wait();
+    const exec_id = ticks[0].__bt_exec_id;
+
+    const done = collect("done");
+    await helper.setFlows(sequence_flow("interrupted", "b"), "full");
+    await wait();
+    assert.strictEqual(ticks.length, 1);
+    assert.strictEqual(done.length, 1);
+    assert.strictEqual(done[0].bt_status, "interrupted");
+    assert.strictEqual(done[0].bt_result.exec_id, exec_id);
+    assert.strictEqual(done[0].bt_result.current_index, 1);
+    assert.deepStrictEqual(done[0].bt_result.child_status, ["success", "running"]);
+    assert.strictEqual(helper.getNode("seq").executions.size, 0);
+});
@@ -0,0 +1,175 @@
+/**
+ * 子节点结果送达（bt-events.js）的测试：事件直接送达、旧版配置的轮询和 parallel 的阈值完成
+ */
+"use strict";
+
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert");
+const helper = require("node-red-node-test-helper");
+const bt = require("../bt");
+
+helper.init(require.resolve("node-red"));
+
+before(() => new Promise(resolve => helper.startServer(resolve)));
+after(() => new Promise(resolve => helper.stopServer(resolve)));
+afterEach(() => helper.unload());
+
+/**
+ * 等待异步发送的消息送达
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms || 30));
+}
+
+/**
+ * 收集发到测试节点的消息
+ */
+function collect(id) {
+    const msgs = [];
+    helper.getNode(id).on("input", msg => msgs.push(msg));
+    return msgs;
+}
+
+/**
+ * 统计节点对全局状态键的读写次数
+ */
+function count_access(node) {
+    const counts = { get: 0, set: 0 };
+    const get = node.blackboard.get;
+    const set = node.blackboard.set;
+    node.blackboard.get = key => {
+        if (key === node.global_key) counts.get++;
+        return get(key);
+    };
+    node.blackboard.set = (key, value) => {
+        if (key === node.global_key) counts.set++;
+        return set(key, value);
+    };
+    return counts;
+}
+
+test("子节点结果通过事件送达，不需要连线回父节点", async () => {
+    await helper.load(bt, [
+        { id: "root", type: "bt-root", z: "t", schedule: "manual", pollInterval: 0, wires: [["seq"], ["result"]] },
+        { id: "seq", type: "bt-sequence", z: "t", childCount: 3, outputs: 4, pollInterval: 0, wires: [["a"], ["b"], ["c"], []] },
+        { id: "a", type: "bt-result", z: "t", resultType: "success", wires: [[]] },
+        { id: "b", type: "bt-result", z: "t", resultType: "success", wires: [[]] },
+        { id: "c", type: "bt-result", z: "t", resultType: "success", wires: [[]] },
+        { id: "result", type: "helper", z: "t" },
+        { id: "t", type: "tab" }
+    ]);
+    const results = collect("result");
+    const seq = helper.getNode("seq");
+    const counts = count_access(seq);
+
+    helper.getNode("root").receive({ payload: 1 });
+    await wait();
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].bt_status, "success");
+
+    // 执行状态保存在内存中：不读取全局状态，每个子节点和结束时各写入一次
+    assert.deepStrictEqual(counts, { get: 0, set: 4 });
+    const state = seq.blackboard.get(seq.global_key);
+    assert.strictEqual(state.status, "success");
+    assert.deepStrictEqual(state.child_status, ["success", "success", "success"]);
+    assert.deepStrictEqual(state.executions, {});
+});
+
+test("并发执行各自记录在 executions 中，顶层字段对应最近启动的执行", async () => {
+    await helper.load(bt, [
+        { id: "seq", type: "bt-sequence", z: "t", childCount: 1, outputs: 2, pollInterval: 0, wires: [["child"], ["done"]] },
+        { id: "child", type: "helper", z: "t" },
+        { id: "done", type: "helper", z: "t" },
+        { id: "t", type: "tab" }
+    ]);
+    const ticks = collect("child");
+    const seq = helper.getNode("seq");
+
+    seq.receive({ payload: 1 });
+    seq.receive({ payload: 2 });
+    await wait();
+    let state = seq.blackboard.get(seq.global_key);
+    assert.strictEqual(state.exec_id, ticks[1].__bt_exec_id);
+    assert.deepStrictEqual(Object.keys(state.executions).sort(), ticks.map(msg => msg.__bt_exec_id).sort());
+
+    seq.receive({ ...ticks[0], bt_status: "success" });
+    await wait();
+    state = seq.blackboard.get(seq.global_key);
+    assert.strictEqual(state.exec_id, ticks[1].__bt_exec_id);
+    assert.strictEqual(state.status, "running");
+    assert.deepStrictEqual(Object.keys(state.executions), [ticks[1].__bt_exec_id]);
+});
+
+test("旧版配置（没有 pollInterval）轮询全局状态中的子节点结果", async () => {
+    await helper.load(bt, [
+        { id: "legacy", type: "bt-sequence", z: "t", childCount: 1, outputs: 2, globalKey: "legacy_result", wires: [["child"], ["done"]] },
+        { id: "events", type: "bt-sequence", z: "t", childCount: 1, outputs: 2, pollInterval: 0, globalKey: "events_result", wires: [["child"], ["done"]] },
+        { id: "child", type: "helper", z: "t" },
+        { id: "done", type: "helper", z: "t" },
+        { id: "t", type: "tab" }
+    ]);
+    const done = collect("done");
+    const legacy = helper.getNode("legacy");
+    const events = helper.getNode("events");
+    assert.strictEqual(legacy.check_interval, 300);
+    assert.strictEqual(events.check_interval, 0);
+
+    // 子节点把结果写入父节点全局状态的 child_status
+    [legacy, events].forEach(node => {
+        node.receive({ payload: 1 });
+    });
+    await wait();
+    [legacy, events].forEach(node => {
+        node.blackboard.set(node.global_key, { ...node.blackboard.get(node.global_key), child_status: ["success"] });
+    });
+
+    await wait(400);
+    assert.deepStrictEqual(done.map(msg => [msg.bt_result.exec_id === legacy.latest_exec_id, msg.bt_status]), [[true, "success"]]);
+});
+
+test("parallel: 成功数达到阈值时成功，中止仍在运行的子节点", async () => {
+    await helper.load(bt, [
+        {
+            id: "par", type: "bt-parallel", z: "t", childCount: 3, outputs: 4, pollInterval: 0,
+            completionType: "threshold", successThreshold: 2, failureThreshold: 2,
+            wires: [["a"], ["b"], ["slow"], ["done"]]
+        },
+        { id: "a", type: "bt-result", z: "t", resultType: "success", wires: [[]] },
+        { id: "b", type: "bt-result", z: "t", resultType: "success", wires: [[]] },
+        { id: "slow", type: "helper", z: "t" },
+        { id: "done", type: "helper", z: "t" },
+        { id: "t", type: "tab" }
+    ]);
+    const slow = collect("slow");
+    const done = collect("done");
+
+    helper.getNode("par").receive({ payload: 1 });
+    await wait();
+    assert.strictEqual(done.length, 1);
+    assert.strictEqual(done[0].bt_status, "success");
+    assert.deepStrictEqual(done[0].bt_result.success_indices, [0, 1]);
+    assert.deepStrictEqual(done[0].bt_result.child_status, ["success", "success", "halted"]);
+    assert.deepStrictEqual(slow.map(msg => !!msg.bt_halt), [false, true]);
+});
+
+test("parallel: 剩余子节点全部成功也无法达到阈值时立即失败", async () => {
+    await helper.load(bt, [
+        {
+            id: "par", type: "bt-parallel", z: "t", childCount: 3, outputs: 4, pollInterval: 0,
+            completionType: "threshold", successThreshold: 3, failureThreshold: 3,
+            wires: [["a"], ["b"], ["slow"], ["done"]]
+        },
+        { id: "a", type: "bt-result", z: "t", resultType: "success", wires: [[]] },
+        { id: "b", type: "bt-result", z: "t", resultType: "failure", wires: [[]] },
+        { id: "slow", type: "helper", z: "t" },
+        { id: "done", type: "helper", z: "t" },
+        { id: "t", type: "tab" }
+    ]);
+    const done = collect("done");
+
+    helper.getNode("par").receive({ payload: 1 });
+    await wait();
+    assert.strictEqual(done.length, 1);
+    assert.strictEqual(done[0].bt_status, "failure");
+    assert.deepStrictEqual(done[0].bt_result.failure_indices, [1]);
+});
@@ -0,0 +1,171 @@
+/**
+ * 行为树根节点（bt-root.js）的测试：cron 计划和并发策略
+ */
+"use strict";
+
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert");
+const helper = require("node-red-node-test-helper");
+const bt = require("../bt");
+const root = require("../bt-root");
+
+helper.init(require.resolve("node-red"));
+
+before(() => new Promise(resolve => helper.startServer(resolve)));
+after(() => new Promise(resolve => helper.stopServer(resolve)));
+afterEach(() => helper.unload());
+
+/**
+ * 等待异步发送的消息送达
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms || 20));
+}
+
+/**
+ * 收集发到测试节点的消息
+ */
+function collect(id) {
+    const msgs = [];
+    helper.getNode(id).on("input", msg => msgs.push(msg));
+    return msgs;
+}
+
+/**
+ * 根节点、子节点和结果端口的测试流程
+ */
+function root_flow(config) {
+    return [
+        { id: "root", type: "bt-root", z: "t", schedule: "manual", pollInterval: 0, wires: [["child"], ["result"]], ...config },
+        { id: "child", type: "helper", z: "t" },
+        { id: "result", type: "helper", z: "t" },
+        { id: "t", type: "tab" }
+    ];
+}
+
+/**
+ * 子节点回报结果
+ */
+function report(msg, status) {
+    helper.getNode("root").receive({ ...msg, bt_status: status });
+}
+
+test("cron: 5 段表达式在第 0 秒匹配", () => {
+    const cron = root.parse_cron("*/15 9 * * *");
+    assert.ok(root.cron_matches(cron, new Date(2026, 8, 1, 9, 30, 0)));
+    assert.ok(!root.cron_matches(cron, new Date(2026, 8, 1, 9, 30, 1)));
+    assert.ok(!root.cron_matches(cron, new Date(2026, 8, 1, 9, 31, 0)));
+    assert.ok(!root.cron_matches(cron, new Date(2026, 8, 1, 10, 30, 0)));
+});
+
+test("cron: 日和星期都有限制时满足其一即匹配", () => {
+    const cron = root.parse_cron("0 9 1 * 1");
+    assert.ok(root.cron_matches(cron, new Date(2026, 8, 1, 9, 0, 0)));     // 1 日（星期二）
+    assert.ok(root.cron_matches(cron, new Date(2026, 8, 7, 9, 0, 0)));     // 星期一
+    assert.ok(!root.cron_matches(cron, new Date(2026, 8, 8, 9, 0, 0)));    // 8 日星期二
+
+    const day_only = root.parse_cron("0 9 1 * *");
+    assert.ok(root.cron_matches(day_only, new Date(2026, 8, 1, 9, 0, 0)));
+    assert.ok(!root.cron_matches(day_only, new Date(2026, 8, 7, 9, 0, 0)));
+});
+
+test("cron: 星期字段中 7 表示星期日", () => {
+    const sunday = new Date(2026, 8, 6, 0, 0, 0);
+    assert.ok(root.cron_matches(root.parse_cron("0 0 * * 7"), sunday));
+    assert.ok(root.cron_matches(root.parse_cron("0 0 * * 0"), sunday));
+    assert.ok(root.cron_matches(root.parse_cron("0 0 * * 5-7"), sunday));
+    assert.ok(!root.cron_matches(root.parse_cron("0 0 * * 1-6"), sunday));
+});
+
+test("cron: 格式错误时抛出异常", () => {
+    assert.throws(() => root.parse_cron("* * *"), /5 段或 6 段/);
+    assert.throws(() => root.parse_cron("61 * * * *"), /cron 字段无效/);
+    assert.throws(() => root.parse_cron("0 0 * * 8"), /cron 字段无效/);
+    assert.throws(() => root.parse_cron("*/0 * * * *"), /cron 字段无效/);
+});
+
+test("cron: 已检查的秒不再触发，延迟错过的秒会补查", () => {
+    const cron = root.parse_cron("*/10 * * * * *");
+    const base = new Date(2026, 8, 1, 9, 0, 0).getTime();
+
+    assert.strictEqual(root.cron_due(cron, base - 1000, base), base);
+    // 提前唤醒：目标秒已经检查过，同一秒不会再次匹配
+    assert.strictEqual(root.cron_due(cron, base, base), null);
+    assert.strictEqual(root.cron_due(cron, base, base + 1000), null);
+    // 事件循环延迟：从上次检查的秒之后补查到当前秒
+    assert.strictEqual(root.cron_due(cron, base + 8000, base + 12000), base + 10000);
+    // 最多补查 60 秒
+    assert.strictEqual(root.cron_due(cron, base - 3600 * 1000, base + 5000), base - 50000);
+});
+
+test("drop: 运行中收到的触发被丢弃", async () => {
+    await helper.load(bt, root_flow({ concurrency: "drop" }));
+    const ticks = collect("child");
+    const results = collect("result");
+
+    helper.getNode("root").receive({ payload: 1 });
+    helper.getNode("root").receive({ payload: 2 });
+    await wait();
+    assert.strictEqual(ticks.length, 1);
+
+    report(ticks[0], "success");
+    await wait();
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].bt_status, "success");
+    assert.strictEqual(results[0].bt_result.run, 1);
+    assert.strictEqual(results[0].bt_result.dropped, 1);
+    assert.strictEqual(ticks.length, 1);
+});
+
+test("queue: 运行结束后依次运行排队的触发，超出最大排队数时丢弃最早的", async () => {
+    await helper.load(bt, root_flow({ concurrency: "queue", maxQueue: 1 }));
+    const ticks = collect("child");
+    const results = collect("result");
+
+    [1, 2, 3].forEach(payload => helper.getNode("root").receive({ payload: payload }));
+    await wait();
+    assert.deepStrictEqual(ticks.map(msg => msg.payload), [1]);
+
+    report(ticks[0], "failure");
+    await wait();
+    assert.deepStrictEqual(ticks.map(msg => msg.payload), [1, 3]);
+    assert.strictEqual(results[0].bt_status, "failure");
+    assert.strictEqual(results[0].bt_result.queued, 1);
+
+    report(ticks[1], "success");
+    await wait();
+    assert.deepStrictEqual(results.map(msg => [msg.bt_result.run, msg.bt_status]), [[1, "failure"], [2, "success"]]);
+});
+
+test("restart: 中止当前运行后立即开始新的运行", async () => {
+    await helper.load(bt, root_flow({ concurrency: "restart" }));
+    const ticks = collect("child");
+    const results = collect("result");
+
+    helper.getNode("root").receive({ payload: 1 });
+    helper.getNode("root").receive({ payload: 2 });
+    await wait();
+    assert.deepStrictEqual(ticks.map(msg => [msg.payload, !!msg.bt_halt]), [[1, false], [1, true], [2, false]]);
+    assert.strictEqual(ticks[1].__bt_exec_id, ticks[0].__bt_exec_id);
+    assert.deepStrictEqual(results.map(msg => [msg.bt_result.run, msg.bt_status]), [[1, "halted"]]);
+
+    // 被中止的运行迟到的结果被忽略
+    report(ticks[0], "success");
+    report(ticks[2], "success");
+    await wait();
+    assert.deepStrictEqual(results.map(msg => [msg.bt_result.run, msg.bt_status]), [[1, "halted"], [2, "success"]]);
+});
+
+test("关闭时不中止正在运行的子树", async () => {
+    await helper.load(bt, root_flow({ concurrency: "queue" }));
+    const ticks = collect("child");
+    const results = collect("result");
+
+    helper.getNode("root").receive({ payload: 1 });
+    helper.getNode("root").receive({ payload: 2 });
+    await wait();
+    await helper.getNode("root").close(false);
+    await wait();
+    assert.deepStrictEqual(ticks.map(msg => [msg.payload, !!msg.bt_halt]), [[1, false]]);
+    assert.strictEqual(results.length, 0);
+});
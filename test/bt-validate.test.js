@@ -0,0 +1,141 @@
+/**
+ * 行为树结构检查（bt-validate.js）的测试
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const validate = require("../bt-validate");
+
+/**
+ * 检查结果中包含指定节点且消息包含指定文本
+ */
+function has_finding(findings, id, text) {
+    return findings.some(finding => finding.id === id && finding.message.indexOf(text) !== -1);
+}
+
+test("结构正确的行为树没有问题", () => {
+    const findings = validate.check([
+        { id: "root", type: "bt-root", globalKey: "root_result", wires: [["seq"], []] },
+        { id: "seq", type: "bt-sequence", globalKey: "sequence_result", childCount: 2, wires: [["a"], ["b"], ["root"]] },
+        { id: "a", type: "bt-action", wires: [[]] },
+        { id: "b", type: "bt-condition", wires: [[]] }
+    ]);
+    assert.deepStrictEqual(findings, []);
+});
+
+test("全局状态键名重复", () => {
+    const findings = validate.check([
+        { id: "s1", type: "bt-sequence", name: "A", globalKey: "sequence_result", childCount: 1, wires: [["a"], []] },
+        { id: "s2", type: "bt-sequence", name: "B", globalKey: "sequence_result", childCount: 1, wires: [["a"], []] },
+        { id: "a", type: "bt-action", wires: [[]] }
+    ]);
+    assert.strictEqual(findings.length, 1);
+    assert.ok(has_finding(findings, "s2", "相同的全局状态键名"));
+});
+
+test("黑板命名空间不同时键名不冲突", () => {
+    const findings = validate.check([
+        { id: "bb", type: "bt-blackboard", scope: "global", namespace: "tree1" },
+        { id: "s1", type: "bt-sequence", globalKey: "sequence_result", childCount: 1, wires: [["a"], []] },
+        { id: "s2", type: "bt-sequence", globalKey: "sequence_result", blackboard: "bb", childCount: 1, wires: [["a"], []] },
+        { id: "a", type: "bt-action", wires: [[]] }
+    ]);
+    assert.deepStrictEqual(findings, []);
+});
+
+test("重复次数参数没有被设置", () => {
+    const findings = validate.check([
+        { id: "r1", type: "bt-repeat", globalRepeatCount: "loops", wires: [["a"], []] },
+        { id: "r2", type: "bt-repeat", globalRepeatCount: "times", wires: [["a"], []] },
+        { id: "r3", type: "bt-repeat", globalRepeatCount: "repeat_count", wires: [["a"], []] },
+        { id: "set", type: "change", name: "loops", rules: [{ t: "set", p: "times", pt: "global" }], wires: [] },
+        { id: "note", type: "comment", info: "loops 由外部设置", wires: [] },
+        { id: "a", type: "bt-action", wires: [[]] }
+    ]);
+    assert.strictEqual(findings.length, 1);
+    assert.ok(has_finding(findings, "r1", "loops"));
+});
+
+test("子节点端口没有连线", () => {
+    const findings = validate.check([
+        { id: "seq", type: "bt-sequence", childCount: 2, wires: [["a"], [], []] },
+        { id: "a", type: "bt-action", wires: [[]] }
+    ]);
+    assert.strictEqual(findings.length, 1);
+    assert.ok(has_finding(findings, "seq", "输出端口 2 没有连线"));
+});
+
+test("控制节点之间的连线循环", () => {
+    const findings = validate.check([
+        { id: "s1", type: "bt-sequence", name: "A", globalKey: "a_result", childCount: 1, wires: [["s2"], []] },
+        { id: "s2", type: "bt-sequence", name: "B", globalKey: "b_result", childCount: 1, wires: [["s1"], ["s1"]] }
+    ]);
+    assert.strictEqual(findings.length, 1);
+    assert.ok(findings[0].message.indexOf("连线循环") !== -1);
+});
+
+test("禁用的节点不参与检查", () => {
+    const findings = validate.check([
+        { id: "seq", type: "bt-sequence", childCount: 2, d: true, wires: [[], [], []] }
+    ]);
+    assert.deepStrictEqual(findings, []);
+});
+
+test("编辑器的检查与部署后的检查结果相同", () => {
+    const flow = [
+        { id: "tab", type: "tab", label: "Flow 1" },
+        { id: "bb", type: "bt-blackboard", scope: "flow", namespace: "" },
+        { id: "s1", type: "bt-sequence", z: "tab", name: "A", globalKey: "sequence_result", childCount: 2, wires: [["s2"], [], []] },
+        { id: "s2", type: "bt-sequence", z: "tab", name: "B", globalKey: "sequence_result", childCount: 1, wires: [["s1"], ["s1"]] },
+        { id: "s3", type: "bt-sequence", z: "tab", name: "C", globalKey: "sequence_result", blackboard: "bb", childCount: 1, wires: [["r1"], []] },
+        { id: "r1", type: "bt-repeat", z: "tab", globalRepeatCount: "loops", wires: [["a"], []] },
+        { id: "a", type: "bt-action", z: "tab", name: "loops", wires: [[]] }
+    ];
+
+    // 运行时：部署后检查写入警告日志，并注册编辑器使用的检查接口
+    const warnings = [];
+    const routes = {};
+    const listeners = {};
+    require("../bt-validate")({
+        events: { on: (name, listener) => { listeners[name] = listener; } },
+        nodes: { eachNode: callback => flow.forEach(callback) },
+        log: { warn: text => warnings.push(text) },
+        auth: { needsPermission: () => (req, res, next) => next() },
+        httpAdmin: { post: (url, permission, handler) => { routes[url] = handler; } }
+    });
+    listeners["flows:started"]();
+
+    // 编辑器：运行 bt.html 中的检查脚本，请求发给上面注册的接口
+    const html = fs.readFileSync(path.join(__dirname, "..", "bt.html"), "utf8");
+    const script = html.match(/<!-- 行为树结构检查 -->\s*<script type="text\/javascript">([\s\S]*?)<\/script>/)[1];
+    const actions = {};
+    const texts = [];
+    const element = {
+        append: () => element,
+        appendTo: () => element,
+        on: () => element,
+        text: text => { texts.push(text); return element; }
+    };
+    const $ = () => element;
+    $.ajax = options => routes["/bt/check"]({ body: JSON.parse(options.data) }, {
+        json: options.success,
+        status: () => ({ json: body => options.error({ responseJSON: body }) })
+    });
+    vm.runInNewContext(script, {
+        $: $,
+        RED: {
+            actions: { add: (name, action) => { actions[name] = action; } },
+            nodes: { createCompleteNodeSet: () => flow },
+            notify: () => {},
+            view: { reveal: () => {} }
+        }
+    });
+    actions["bt:check-tree"]();
+
+    assert.strictEqual(warnings.length, 4);
+    assert.deepStrictEqual(texts, warnings.map(text => text.replace("行为树检查: ", "")).concat("行为树检查发现 4 个问题"));
+});